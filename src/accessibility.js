@@ -0,0 +1,49 @@
+// Accessibility settings: colour-blind friendly layer palettes, high-contrast layer edges and reduced
+// motion, saved to localStorage.
+
+const accessibilitySettingsKey = 'aboveAndBeyond.accessibility';
+
+export const defaultAccessibilitySettings = {
+    palette: 'default',  //key of layerPalettes
+    highContrast: false,  //outline every box in black
+    reducedMotion: 'system',  //'system' follows the prefers-reduced-motion media query, or 'on' / 'off'
+};
+
+// Colours up the tower, as stops from the bottom to the top of the ramp. Default is the original
+// orange-to-green hue ramp; the others stay distinct for red-green and blue-yellow colour blindness.
+export const layerPalettes = {
+    default: { label: 'Default', stops: null },
+    viridis: { label: 'Viridis', stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+    blueOrange: { label: 'Blue / Orange', stops: ['#0072b2', '#56b4e9', '#f0e442', '#e69f00', '#d55e00'] },
+};
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+export function loadAccessibilitySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(accessibilitySettingsKey));
+        const settings = { ...defaultAccessibilitySettings, ...saved };
+        if (!(settings.palette in layerPalettes)) settings.palette = defaultAccessibilitySettings.palette;
+        return settings;
+    } catch (error) {
+        console.error("Error reading accessibility settings:", error);
+        return { ...defaultAccessibilitySettings };
+    }
+}
+
+export function saveAccessibilitySettings(settings) {
+    try {
+        localStorage.setItem(accessibilitySettingsKey, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Error saving accessibility settings:", error);
+    }
+}
+
+export function isMotionReduced(settings) {
+    return settings.reducedMotion === 'on' || (settings.reducedMotion === 'system' && reducedMotionQuery.matches);
+}
+
+// Calls callback whenever the system's reduced motion preference changes
+export function onSystemMotionChange(callback) {
+    reducedMotionQuery.addEventListener('change', callback);
+}
@@ -0,0 +1,179 @@
+// Web Audio based sound: one-shot effects and looping music tracks, each on its own volume bus
+// (master -> music / sfx), with settings saved to localStorage.
+
+const audioSettingsKey = 'aboveAndBeyond.audio';
+
+export const defaultAudioSettings = {
+    master: 1,
+    music: 0.6,
+    sfx: 0.8,
+    muted: false,
+};
+
+const crossfadeTime = 1.5;  //seconds it takes one music track to fade into the next
+
+export function loadAudioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(audioSettingsKey));
+        return { ...defaultAudioSettings, ...saved };
+    } catch (error) {
+        console.error("Error reading audio settings:", error);
+        return { ...defaultAudioSettings };
+    }
+}
+
+function saveAudioSettings(settings) {
+    try {
+        localStorage.setItem(audioSettingsKey, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Error saving audio settings:", error);
+    }
+}
+
+// sounds: { name: url } for effects
+// tracks: { name: { src, loop, playbackRate, lowpass } } for music (lowpass is a filter cutoff in Hz)
+export function createAudioManager({ sounds, tracks }) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+    const settings = loadAudioSettings();
+
+    const masterGain = context.createGain();
+    const musicGain = context.createGain();
+    const sfxGain = context.createGain();
+    musicGain.connect(masterGain);
+    sfxGain.connect(masterGain);
+    masterGain.connect(context.destination);
+
+    const buffers = new Map();  //url -> Promise<AudioBuffer>
+    let currentMusic = null;  //{ name, source, gain } of the track that's playing (or fading in)
+    let isSuspended = false;  //true while the game has paused all sound
+
+    function applyVolumes() {
+        masterGain.gain.value = settings.muted ? 0 : settings.master;
+        musicGain.gain.value = settings.music;
+        sfxGain.gain.value = settings.sfx;
+    }
+
+    function loadBuffer(url) {
+        if (!buffers.has(url)) {
+            const buffer = fetch(url)
+                .then((response) => response.arrayBuffer())
+                .then((data) => context.decodeAudioData(data));
+            buffer.catch((error) => console.error(`Error loading sound ${url}:`, error));
+            buffers.set(url, buffer);
+        }
+        return buffers.get(url);
+    }
+
+    // Browsers keep audio locked until the page gets a click, tap or key press
+    function unlock() {
+        if (context.state === 'suspended' && !isSuspended) {
+            context.resume().catch((error) => console.error("Error unlocking audio:", error));
+        }
+    }
+
+    ['pointerdown', 'keydown'].forEach((type) => {
+        window.addEventListener(type, unlock, { capture: true });
+    });
+
+    function playSfx(name, { playbackRate = 1 } = {}) {
+        loadBuffer(sounds[name]).then((buffer) => {
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.playbackRate.value = playbackRate;
+            source.connect(sfxGain);
+            source.start();
+        }).catch(() => {});
+    }
+
+    function fadeOut(music) {
+        const now = context.currentTime;
+        music.gain.gain.cancelScheduledValues(now);
+        music.gain.gain.setValueAtTime(music.gain.gain.value, now);
+        music.gain.gain.linearRampToValueAtTime(0, now + crossfadeTime);
+        if (music.source) music.source.stop(now + crossfadeTime);
+    }
+
+    // Crossfades from whatever is playing into the named track
+    function playMusic(name) {
+        if (currentMusic && currentMusic.name === name) return;
+        if (currentMusic) fadeOut(currentMusic);
+
+        const track = tracks[name];
+        const gain = context.createGain();
+        gain.gain.value = 0;
+        const music = { name, source: null, gain };
+        currentMusic = music;
+
+        // Some tracks are the same recording played slower and muffled (e.g. under the gameplay)
+        let output = gain;
+        if (track.lowpass) {
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = track.lowpass;
+            filter.connect(gain);
+            output = filter;
+        }
+        gain.connect(musicGain);
+
+        loadBuffer(track.src).then((buffer) => {
+            if (currentMusic !== music) return; // Something else started while this was loading
+
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.loop = track.loop !== false;
+            source.playbackRate.value = track.playbackRate || 1;
+            source.connect(output);
+            music.source = source;
+
+            const now = context.currentTime;
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(1, now + crossfadeTime);
+            source.start();
+        }).catch(() => {});
+    }
+
+    function stopMusic() {
+        if (currentMusic) fadeOut(currentMusic);
+        currentMusic = null;
+    }
+
+    applyVolumes();
+
+    return {
+        // Starts loading every effect and track; returns [{ url, buffer }] so callers can track progress
+        preload() {
+            const urls = new Set([
+                ...Object.values(sounds),
+                ...Object.values(tracks).map((track) => track.src),
+            ]);
+            return [...urls].map((url) => ({ url, buffer: loadBuffer(url) }));
+        },
+        playSfx,
+        playMusic,
+        stopMusic,
+        // Freezes everything that's playing, e.g. while the game is paused
+        suspend() {
+            isSuspended = true;
+            return context.suspend();
+        },
+        resume() {
+            isSuspended = false;
+            return context.resume();
+        },
+        getSettings() {
+            return { ...settings };
+        },
+        // channel is 'master', 'music' or 'sfx'; value from 0 to 1
+        setVolume(channel, value) {
+            settings[channel] = value;
+            applyVolumes();
+            saveAudioSettings(settings);
+        },
+        setMuted(muted) {
+            settings.muted = muted;
+            applyVolumes();
+            saveAudioSettings(settings);
+        },
+    };
+}
@@ -0,0 +1,53 @@
+// Campaign levels (levels.json) and the player's progress through them: the best star rating for every
+// level, saved to localStorage. A level unlocks once the one before it has been beaten.
+//
+// Levels are { id, name, description, difficulty, footprint, target, speed, directions, hazards, stars }:
+//   footprint   [width, depth] of the base and the first box
+//   target      layers needed to beat the level
+//   speed       { start, step, max } box speed, and how much it rises per layer (like difficultyPresets)
+//   directions  'x', 'z' or 'diagonal' for each layer, repeated up the tower
+//   startOffsets  optional, how far inside the edge of its travel range each layer starts, repeated up the tower
+//   hazards     { wind: [x, z], drift: { axis, amplitude, period } }, both optional: wind pushes falling
+//               pieces sideways (acceleration in world units/s²), drift slides the whole tower along axis
+//               (amplitude in world units, period in frames)
+//   stars       [points for 2 stars, points for 3 stars]; beating the level is worth 1
+import levels from './levels.json'
+
+const campaignProgressKey = 'aboveAndBeyond.campaign';
+
+export const campaignLevels = levels;
+
+export function levelById(id) {
+    return levels.find((level) => level.id === id) || null;
+}
+
+// { levelId: stars } for every level beaten so far
+export function loadCampaignProgress() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(campaignProgressKey));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.error("Error reading campaign progress:", error);
+        return {};
+    }
+}
+
+// Keeps the better of the saved and the new rating
+export function saveLevelStars(id, stars) {
+    const progress = loadCampaignProgress();
+    progress[id] = Math.max(progress[id] || 0, stars);
+    try {
+        localStorage.setItem(campaignProgressKey, JSON.stringify(progress));
+    } catch (error) {
+        console.error("Error saving campaign progress:", error);
+    }
+}
+
+// Stars (1-3) for beating the level with the given points
+export function starRating(level, points) {
+    return 1 + level.stars.filter((threshold) => points >= threshold).length;
+}
+
+export function isLevelUnlocked(index, progress) {
+    return index === 0 || Boolean(progress[levels[index - 1].id]);
+}
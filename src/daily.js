@@ -0,0 +1,135 @@
+// The Daily Tower: one run a day, built from the date so that everyone plays the same one. Only the
+// first attempt of the day is scored; results and the streak of days in a row are saved to localStorage.
+import { createRandom, comboAccuracy } from './game.js'
+
+const dailyKey = 'aboveAndBeyond.daily';
+const dailyTarget = 25;  //layers in every Daily Tower
+const maxStartOffset = 3;  //furthest a box can start inside the edge of its travel range
+
+// Day keys are local dates, 'YYYY-MM-DD'
+export function dayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function previousDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return dayKey(new Date(year, month - 1, day - 1));
+}
+
+export function isDayKey(key) {
+    return typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key);
+}
+
+// Seed for the day's run (FNV-1a hash of the day key), which also picks its special blocks
+export function dailySeed(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// The day's rules, in the same shape as a campaign level (see campaign.js): the date picks the
+// footprint, the speed curve, the travel pattern, where the boxes start and sometimes a wind
+export function createDailyLevel(key) {
+    const random = createRandom(dailySeed(key));
+    const between = (min, max) => Math.round((min + random() * (max - min)) * 1000) / 1000;
+    const pick = (options) => options[Math.floor(random() * options.length)];
+
+    const startSpeed = between(0.07, 0.1);
+    return {
+        id: `daily-${key}`,
+        name: `Daily Tower ${key}`,
+        difficulty: 'normal',
+        footprint: [pick([2.5, 3, 3.5, 4]), pick([2.5, 3, 3.5, 4])],
+        target: dailyTarget,
+        speed: { start: startSpeed, step: between(0.001, 0.002), max: between(startSpeed + 0.03, startSpeed + 0.06) },
+        directions: pick([['x', 'z'], ['z', 'x'], ['x', 'z', 'diagonal'], ['x', 'diagonal', 'z', 'diagonal']]),
+        hazards: random() < 0.3 ? { wind: [between(-4, 4), between(-4, 4)] } : {},
+        startOffsets: Array.from({ length: 5 }, () => between(0, maxStartOffset)),
+    };
+}
+
+// { results: { day: { score, points, share } }, streak, lastDay }
+export function loadDailyState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(dailyKey));
+        return { results: {}, streak: 0, lastDay: null, ...saved };
+    } catch (error) {
+        console.error("Error reading daily results:", error);
+        return { results: {}, streak: 0, lastDay: null };
+    }
+}
+
+function saveDailyState(state) {
+    try {
+        localStorage.setItem(dailyKey, JSON.stringify(state));
+    } catch (error) {
+        console.error("Error saving daily result:", error);
+    }
+}
+
+// Reserves the day's scored attempt as soon as it starts, as a fallen run with nothing placed, so quitting
+// or reloading halfway through still uses it up. Returns false if the day has already had its attempt.
+export function startDailyAttempt(key) {
+    const state = loadDailyState();
+    if (state.results[key]) return false;
+
+    state.streak = state.lastDay === previousDayKey(key) ? state.streak + 1 : 1;
+    state.lastDay = key;
+    state.results[key] = dailyResult(key, { score: 0, points: 0, accuracies: [], fell: true }, state.streak);
+    saveDailyState(state);
+    return true;
+}
+
+// Fills in the attempt reserved by startDailyAttempt() with the run's
+// { score, points, accuracies, fell } (accuracy of every placed layer, and whether the tower fell).
+// Returns the updated state.
+export function recordDailyResult(key, run) {
+    const state = loadDailyState();
+    state.results[key] = dailyResult(key, run, state.streak);
+    saveDailyState(state);
+    return state;
+}
+
+function dailyResult(key, run, streak) {
+    return {
+        score: run.score,
+        points: run.points,
+        share: shareString(key, { ...run, streak }),
+    };
+}
+
+// Days in a row played up to today (a streak survives until a whole day is skipped)
+export function currentStreak(state, key = dayKey()) {
+    return state.lastDay === key || state.lastDay === previousDayKey(key) ? state.streak : 0;
+}
+
+// One square per placed layer, by how much of it landed: perfect, combo-worthy, half or more, less
+function accuracySquare(accuracy) {
+    if (accuracy === 1) return '🟦';
+    if (accuracy >= comboAccuracy) return '🟩';
+    if (accuracy >= 0.5) return '🟨';
+    return '🟧';
+}
+
+// Compact result to paste anywhere, e.g.
+//   Above and Beyond · Daily Tower 2026-10-19
+//   🟦🟩🟩🟨🟩🟩🟩🟩🟩🟩
+//   🟩🟧🟥
+//   12/25 layers · 1520 pts · 🔥3
+function shareString(key, { accuracies, fell, score, points, streak }) {
+    const squares = accuracies.map(accuracySquare).concat(fell ? ['🟥'] : []);
+    const rows = [];
+    for (let i = 0; i < squares.length; i += 10) {
+        rows.push(squares.slice(i, i + 10).join(''));
+    }
+    return [
+        `Above and Beyond · Daily Tower ${key}`,
+        ...rows,
+        `${score}/${dailyTarget} layers · ${points} pts` + (streak > 1 ? ` · 🔥${streak}` : ''),
+    ].join('\n');
+}
@@ -0,0 +1,11 @@
+// Saves a blob as a file through a temporary download link. The object URL is revoked a little later:
+// revoking it straight after the click can cancel the download in some browsers (Firefox).
+const revokeDelay = 1000;  //milliseconds
+
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), revokeDelay);
+}
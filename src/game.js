@@ -0,0 +1,485 @@
+// Game rules for the stacking game, kept free of Three.js, Cannon.js and the DOM so they can run
+// headless (e.g. under Node). The renderer and physics subscribe to the events a game emits.
+
+// The box dimensions and win target can be changed with tuneGame() (from the tuning panel)
+export let originalBoxSize = 3.5;  //initial width and depth of the first box in the stack
+export let boxHeight = 1.2;  //height of each box layer
+export let winScore = 50;  //layers needed to bring Zyck home
+export let speedScale = 1;  //multiplies every box speed from the difficulty curve (from the tuning panel)
+export const milestoneInterval = 50;  //Endless mode celebrates every this many layers instead of ending
+
+// Classic ends the run at winScore; Endless keeps going; Campaign plays a level (see levels.json) to its
+// target, and the Daily Tower plays a level built from the date (see daily.js)
+export const gameModes = {
+    classic: { label: 'Classic' },
+    endless: { label: 'Endless' },
+    campaign: { label: 'Campaign' },
+    daily: { label: 'Daily Tower' },
+};
+
+// Difficulty presets: the box speeds up and travels further as the score climbs
+export const difficultyPresets = {
+    easy: { label: 'Easy', startSpeed: 0.07, speedStep: 0.001, maxSpeed: 0.12, startRange: 10, rangeStep: 0.04, maxRange: 12 },
+    normal: { label: 'Normal', startSpeed: 0.09, speedStep: 0.0015, maxSpeed: 0.16, startRange: 10, rangeStep: 0.06, maxRange: 13 },
+    hard: { label: 'Hard', startSpeed: 0.11, speedStep: 0.002, maxSpeed: 0.2, startRange: 10, rangeStep: 0.1, maxRange: 15 },
+};
+
+// Perfect placement: a drop within perfectTolerance snaps onto the previous layer without a cut
+export const perfectTolerance = 0.12;  //max offset (in world units) that still counts as perfect
+export const perfectStreakToRegrow = 3;  //perfects in a row needed before the box starts growing back
+export const regrowStep = 0.25;  //how much width/depth is restored per perfect once the streak is reached
+
+export const minBoxSize = 0.25;  //smallest width or depth a layer may be cut down to before the game ends
+
+// Points: every placed layer scores up to pointsPerLayer for accuracy (overlap / size, 1 for a perfect),
+// multiplied up by a combo of accurate drops in a row, plus a bonus for reaching the goal quickly
+export const pointsPerLayer = 100;
+export const comboAccuracy = 0.9;  //accuracy a drop needs to keep the combo going
+export const comboStep = 0.25;  //multiplier added per drop in the combo
+export const maxComboMultiplier = 3;
+export const parFramesPerLayer = 180;  //frames per layer (3 seconds) the speed bonus is measured against
+export const speedBonusPerSecond = 20;  //points for every second under par
+
+// Special blocks take effect when they're placed:
+//   slowMotion  the next blocks move slower for a while
+//   widen       the placed block grows back toward originalBoxSize
+//   shield      the next miss is forgiven (the block is just respawned)
+//   heavy       its overhang is much heavier, so it knocks the debris below around
+export const specialSpawnRates = {  //chance of each special per spawned layer, by difficulty
+    easy: { slowMotion: 0.06, widen: 0.06, shield: 0.04, heavy: 0.03 },
+    normal: { slowMotion: 0.04, widen: 0.04, shield: 0.03, heavy: 0.04 },
+    hard: { slowMotion: 0.03, widen: 0.02, shield: 0.02, heavy: 0.06 },
+};
+export const slowMotionFrames = 300;  //how long slow motion lasts, in frames
+export const slowMotionFactor = 0.6;  //box speed multiplier while slow motion lasts
+export const widenStep = 1;  //width/depth restored by a widen block
+export const maxShields = 1;  //shields that can be held at once
+
+// Overrides any of { originalBoxSize, boxHeight, winScore, speedScale }. Runs that already started keep the
+// layers they have, so new dimensions only look right from the next run on; a new speedScale applies to
+// running games once they call updateDifficulty().
+export function tuneGame(values) {
+    if (values.originalBoxSize !== undefined) originalBoxSize = values.originalBoxSize;
+    if (values.boxHeight !== undefined) boxHeight = values.boxHeight;
+    if (values.winScore !== undefined) winScore = values.winScore;
+    if (values.speedScale !== undefined) speedScale = values.speedScale;
+}
+
+// Seeded PRNG (mulberry32) so that anything random in a run can be reproduced from its seed
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Creates a new run with the foundation layer and the first moving layer already in place.
+// In wobble mode boxes aren't cut: they keep their full size wherever they land, and the physics
+// (outside of the game) decides whether the tower stays up, ending the run with topple() if it doesn't.
+// A campaign level sets the starting footprint, target, speeds, travel directions and hazards instead
+// (the game only handles the drifting base; wind is up to the physics).
+// Layers are plain objects: { x, y, z, width, depth, direction, special } (special is null for a plain block).
+// direction is 'x', 'z' or 'diagonal' (along both), or null for the foundation.
+//
+// Events passed to subscribe() listeners as { type, ...payload }:
+//   layerAdded { layer }            a new moving layer was spawned on top of the stack
+//   layerRemoved { layer }          the moving layer travelled out of range and was dropped
+//   layerPlaced { layer, perfect }  the moving layer was dropped; its position/size may have changed
+//   overhang { piece }              the part cut off a layer, { x, y, z, width, depth, heavy }
+//   scoreChanged { score }
+//   gameOver { reason }             'miss', 'tooSmall' or 'toppled'
+//   won { score }                   the target was stacked (not in Endless)
+//   milestone { score }             another milestoneInterval layers were stacked (Endless only)
+//   specialActivated { special, layer }  a special block was placed and took effect
+//   specialEnded { special }        a timed special (slow motion) wore off
+//   shieldUsed { layer }            a shield forgave a miss; the missed layer was removed and respawned
+//   pointsScored { points, accuracy, multiplier, layer }  a placed layer scored points
+//   speedBonus { points }           the goal was reached under par time (not in Endless)
+//   towerDrifted { axis, delta }    the drifting base moved every placed layer along axis (and the moving
+//                                   layer too, unless it travels along axis or diagonally)
+export function createGame({ difficulty = 'normal', mode = 'classic', seed = 0, wobble = false, level = null } = {}) {
+    const preset = level
+        ? { ...difficultyPresets[difficulty], startSpeed: level.speed.start, speedStep: level.speed.step, maxSpeed: level.speed.max }
+        : difficultyPresets[difficulty];
+    const footprint = level ? { width: level.footprint[0], depth: level.footprint[1] } : null;
+    const listeners = [];
+
+    const game = {
+        difficulty,
+        mode,
+        seed,
+        wobble,
+        level,
+        stack: [],  //placed layers, with the moving layer last
+        score: 0,  //layers placed, which is what counts toward winScore
+        points: 0,  //total of breakdown
+        breakdown: { accuracy: 0, combo: 0, speed: 0 },  //where the points came from
+        combo: 0,  //accurate drops in a row
+        bestCombo: 0,
+        perfectStreak: 0,  //consecutive perfect drops
+        perfectCount: 0,  //total perfect drops this run
+        shields: 0,  //misses that will be forgiven
+        slowMotionLeft: 0,  //frames of slow motion left
+        boxSpeed: preset.startSpeed * speedScale,  //distance the moving layer travels per frame
+        travelRange: preset.startRange,  //how far from the centre a moving layer travels before it counts as a miss
+        frameIndex: 0,  //frames stepped since the run started
+        drift: 0,  //how far the drifting base has moved the tower from where it started
+        isOver: false,
+        overReason: null,  //'miss', 'tooSmall', 'toppled' or 'won' once the run is over
+        // Layers needed to win (null in Endless)
+        get target() {
+            if (mode === 'endless') return null;
+            return level ? level.target : winScore;
+        },
+        subscribe,
+        step,
+        drop,
+        topple,
+        updateDifficulty,
+    };
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        return () => listeners.splice(listeners.indexOf(listener), 1);
+    }
+
+    function emit(type, payload = {}) {
+        listeners.forEach((listener) => listener({ type, ...payload }));
+    }
+
+    function topLayer() {
+        return game.stack[game.stack.length - 1];
+    }
+
+    // Width and depth of a full box, which boxes start at and grow back toward
+    function fullSize() {
+        return footprint || { width: originalBoxSize, depth: originalBoxSize };
+    }
+
+    // Direction of the layer at the given height: the level's pattern, or fallback outside the campaign
+    function directionAt(index, fallback) {
+        return level ? level.directions[(index - 1) % level.directions.length] : fallback;
+    }
+
+    // Raises the box speed and travel range from the preset based on the current score
+    function updateDifficulty() {
+        const speed = Math.min(preset.maxSpeed, preset.startSpeed + game.score * preset.speedStep) * speedScale;
+        game.boxSpeed = game.slowMotionLeft > 0 ? speed * slowMotionFactor : speed;
+        game.travelRange = Math.min(preset.maxRange, preset.startRange + game.score * preset.rangeStep);
+    }
+
+    function addLayer(x, z, width, depth, direction, special = null) {
+        const layer = { x, y: boxHeight * game.stack.length, z, width, depth, direction, special };
+        game.stack.push(layer);
+        return layer;
+    }
+
+    // Picks the special block (or null) for the layer at the given height. It only depends on the seed and
+    // the height, so a respawned layer comes back the same and versus towers get the same blocks.
+    // Wobble mode never cuts boxes down, so it has no use for widen blocks.
+    function pickSpecial(index) {
+        let roll = createRandom(seed ^ Math.imul(index, 0x9E3779B1))();
+        for (const [special, rate] of Object.entries(specialSpawnRates[difficulty])) {
+            if (roll < rate) return wobble && special === 'widen' ? null : special;
+            roll -= rate;
+        }
+        return null;
+    }
+
+    // How much closer than the edge of its travel range the next layer starts: the level's startOffsets
+    // (cycled like its directions), or none
+    function startOffset() {
+        const offsets = level && level.startOffsets;
+        return offsets ? offsets[(game.stack.length - 1) % offsets.length] : 0;
+    }
+
+    // Where a layer travelling in the given direction starts: at the edge of its travel range (less the start
+    // offset), lined up with the top layer (diagonal layers start that far away from it and pass right over it)
+    function startPosition(direction) {
+        const top = topLayer();
+        const distance = game.travelRange - startOffset();
+        const x = direction === 'x' ? -distance : top.x;
+        const z = direction === 'z' ? -distance : top.z;
+        if (direction === 'diagonal') {
+            return { x: x - distance * Math.SQRT1_2, z: z - distance * Math.SQRT1_2 };
+        }
+        return { x, z };
+    }
+
+    // Spawns the next moving layer at its start position
+    function spawnLayer(direction) {
+        const top = topLayer();
+        const { x, z } = startPosition(direction);
+
+        const layer = addLayer(x, z, top.width, top.depth, direction, pickSpecial(game.stack.length));
+        emit('layerAdded', { layer });
+    }
+
+    function incrementScore() {
+        game.score++;
+        updateDifficulty();
+        emit('scoreChanged', { score: game.score });
+
+        if (mode === 'endless' && game.score % milestoneInterval === 0) {
+            emit('milestone', { score: game.score });
+        }
+    }
+
+    // Scores a placed layer from how much of it stayed on the stack, and keeps the combo going (or breaks it)
+    function scoreLayer(layer, accuracy) {
+        game.combo = accuracy >= comboAccuracy ? game.combo + 1 : 0;
+        game.bestCombo = Math.max(game.bestCombo, game.combo);
+
+        const multiplier = Math.min(maxComboMultiplier, 1 + Math.max(0, game.combo - 1) * comboStep);
+        const accuracyPoints = Math.round(accuracy * pointsPerLayer);
+        const comboPoints = Math.round(accuracyPoints * (multiplier - 1));
+        game.breakdown.accuracy += accuracyPoints;
+        game.breakdown.combo += comboPoints;
+        game.points += accuracyPoints + comboPoints;
+        emit('pointsScored', { points: accuracyPoints + comboPoints, accuracy, multiplier, layer });
+    }
+
+    function awardSpeedBonus() {
+        const secondsUnderPar = (game.target * parFramesPerLayer - game.frameIndex) / 60;
+        const points = Math.max(0, Math.round(secondsUnderPar * speedBonusPerSecond));
+        if (points === 0) return;
+        game.breakdown.speed += points;
+        game.points += points;
+        emit('speedBonus', { points });
+    }
+
+    function endGame(reason) {
+        game.isOver = true;
+        game.overReason = reason;
+        if (reason === 'won') {
+            emit('won', { score: game.score });
+        } else {
+            emit('gameOver', { reason });
+        }
+    }
+
+    // Grows a placed layer back toward its full size after a streak of perfect drops
+    function regrowLayer(layer) {
+        layer.width = Math.min(fullSize().width, layer.width + regrowStep);
+        layer.depth = Math.min(fullSize().depth, layer.depth + regrowStep);
+    }
+
+    // Grows a placed widen block back toward its full size; returns how much it grew along each axis, { x, z }
+    function widenLayer(layer) {
+        const { width, depth } = layer;
+        layer.width = Math.min(fullSize().width, layer.width + widenStep);
+        layer.depth = Math.min(fullSize().depth, layer.depth + widenStep);
+        return { x: layer.width - width, z: layer.depth - depth };
+    }
+
+    // Moves the whole placed tower with the drifting base (a campaign hazard)
+    function driftBase() {
+        const { axis, amplitude, period } = level.hazards.drift;
+        const drift = amplitude * Math.sin(2 * Math.PI * game.frameIndex / period);
+        const delta = drift - game.drift;
+        game.drift = drift;
+        game.stack.slice(0, -1).forEach((layer) => {
+            layer[axis] += delta;
+        });
+        // The moving layer is carried along across its path, so it still lines up with the tower on that axis
+        // (drop() only measures the axis a layer travels along)
+        const top = topLayer();
+        if (top.direction !== axis && top.direction !== 'diagonal') top[axis] += delta;
+        emit('towerDrifted', { axis, delta });
+    }
+
+    // Applies the effect of a special block that was just placed (widen is applied while placing it)
+    function activateSpecial(layer) {
+        if (layer.special === 'slowMotion') {
+            game.slowMotionLeft = slowMotionFrames;
+            updateDifficulty();
+        } else if (layer.special === 'shield') {
+            game.shields = Math.min(maxShields, game.shields + 1);
+        }
+        emit('specialActivated', { special: layer.special, layer });
+    }
+
+    // Advances the game by one frame: moves the top layer and respawns it if it travelled out of range
+    function step() {
+        if (game.isOver) return;
+
+        if (game.slowMotionLeft > 0) {
+            game.slowMotionLeft--;
+            if (game.slowMotionLeft === 0) {
+                updateDifficulty();
+                emit('specialEnded', { special: 'slowMotion' });
+            }
+        }
+
+        if (level && level.hazards.drift) driftBase();
+
+        const top = topLayer();
+        let outOfRange;
+        if (top.direction === 'diagonal') {
+            top.x += game.boxSpeed * Math.SQRT1_2;
+            top.z += game.boxSpeed * Math.SQRT1_2;
+            outOfRange = top.x - game.stack[game.stack.length - 2].x > game.travelRange * Math.SQRT1_2;
+        } else {
+            top[top.direction] += game.boxSpeed;
+            outOfRange = Math.abs(top[top.direction]) > game.travelRange;
+        }
+
+        if (outOfRange) {
+            game.stack.pop();
+            emit('layerRemoved', { layer: top });
+            // No score for a layer that was never dropped
+            spawnLayer(directionAt(game.stack.length, game.stack.length % 2 === 0 ? 'x' : 'z'));
+        }
+
+        // Stop the game once the target is stacked
+        if (game.target !== null && game.score >= game.target) {
+            awardSpeedBonus();
+            endGame('won');
+        }
+
+        game.frameIndex++;
+    }
+
+    // Ends the run because the tower fell over (wobble mode)
+    function topple() {
+        if (game.isOver) return;
+        endGame('toppled');
+    }
+
+    // Drops the moving layer where it currently is. Returns what happened:
+    // { type: 'perfect' | 'cut' | 'placed' | 'tooSmall' | 'miss' | 'shielded', layer, overhang }
+    // (a diagonal cut can leave two overhangs; overhang is the first)
+    function drop() {
+        if (game.isOver) return null;
+
+        const top = topLayer();
+        const previous = game.stack[game.stack.length - 2];
+
+        const direction = top.direction;
+        // Diagonal layers are measured, and cut, along both axes
+        const axes = (direction === 'diagonal' ? ['x', 'z'] : [direction]).map((axis) => {
+            const delta = top[axis] - previous[axis];
+            const size = axis === 'x' ? top.width : top.depth;
+            return { axis, delta, overhangSize: Math.abs(delta), overlap: size - Math.abs(delta), size };
+        });
+        const nextDirection = directionAt(game.stack.length, direction === 'x' ? 'z' : 'x');
+
+        if (axes.every(({ overhangSize }) => overhangSize <= perfectTolerance)) {
+            // Perfect stack: snap onto the previous layer without cutting anything off
+            axes.forEach(({ axis }) => {
+                top[axis] = previous[axis];
+            });
+
+            game.perfectStreak++;
+            game.perfectCount++;
+            if (game.perfectStreak >= perfectStreakToRegrow) {
+                regrowLayer(top);
+            }
+            if (top.special === 'widen') {
+                widenLayer(top);
+            }
+
+            emit('layerPlaced', { layer: top, perfect: true });
+            scoreLayer(top, 1);
+            if (top.special) activateSpecial(top);
+            spawnLayer(nextDirection);
+            incrementScore();
+            return { type: 'perfect', layer: top, overhang: null };
+        }
+
+        if (axes.some(({ overlap }) => overlap <= 0)) {
+            game.perfectStreak = 0;
+            game.combo = 0;
+
+            if (game.shields > 0) {
+                // The shield takes the hit: this layer is discarded and the same one comes round again
+                game.shields--;
+                game.stack.pop();
+                emit('layerRemoved', { layer: top });
+                emit('shieldUsed', { layer: top });
+                spawnLayer(direction);
+                return { type: 'shielded', layer: top, overhang: null };
+            }
+
+            // Missed the stack entirely
+            endGame('miss');
+            return { type: 'miss', layer: top, overhang: null };
+        }
+
+        game.perfectStreak = 0;
+        // Share of the box that landed on the stack
+        const accuracy = axes.reduce((share, { overlap, size }) => share * overlap / size, 1);
+
+        if (wobble) {
+            // Wobble mode: the whole box stays where it landed, hanging over the edge
+            emit('layerPlaced', { layer: top, perfect: false });
+            scoreLayer(top, accuracy);
+            if (top.special) activateSpecial(top);
+            spawnLayer(nextDirection);
+            incrementScore();
+            return { type: 'placed', layer: top, overhang: null };
+        }
+
+        // Successful stack: cut the box down to the overlap and let the rest fall. Cutting one axis at a
+        // time means a diagonal's first overhang takes the corner and the second fits alongside it.
+        axes.forEach((cut) => {
+            const { axis, delta, overhangSize, overlap } = cut;
+            top[axis] -= delta / 2;
+            if (axis === 'x') {
+                top.width = overlap;
+            } else {
+                top.depth = overlap;
+            }
+            if (overhangSize === 0) return;
+
+            const overhangShift = (overlap / 2 + overhangSize / 2) * Math.sign(delta);
+            cut.piece = {
+                x: axis === 'x' ? top.x + overhangShift : top.x,
+                y: top.y,
+                z: axis === 'z' ? top.z + overhangShift : top.z,
+                width: axis === 'x' ? overhangSize : top.width,
+                depth: axis === 'z' ? overhangSize : top.depth,
+                heavy: top.special === 'heavy',
+            };
+        });
+
+        if (top.special === 'widen') {
+            // Push the overhangs out by however much the block grew on their side
+            const growth = widenLayer(top);
+            axes.forEach(({ axis, delta, piece }) => {
+                if (piece) piece[axis] += growth[axis] / 2 * Math.sign(delta);
+            });
+        }
+
+        const overhangs = axes.map(({ piece }) => piece).filter(Boolean);
+
+        emit('layerPlaced', { layer: top, perfect: false });
+        overhangs.forEach((piece) => emit('overhang', { piece }));
+
+        // The cut left too little of the box to keep stacking on
+        if (top.width < minBoxSize || top.depth < minBoxSize) {
+            endGame('tooSmall');
+            return { type: 'tooSmall', layer: top, overhang: overhangs[0] };
+        }
+
+        scoreLayer(top, accuracy);
+        if (top.special) activateSpecial(top);
+
+        spawnLayer(nextDirection);
+        incrementScore();
+        return { type: 'cut', layer: top, overhang: overhangs[0] };
+    }
+
+    // Foundation layer at the bottom (stationary) and the first moving layer, starting off-screen
+    const { width, depth } = fullSize();
+    addLayer(0, 0, width, depth, null);
+    const firstDirection = directionAt(1, 'x');
+    const start = startPosition(firstDirection);
+    addLayer(start.x, start.z, width, depth, firstDirection);
+
+    return game;
+}
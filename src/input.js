@@ -0,0 +1,141 @@
+// Unified input: remappable keys, mouse/touch on the game canvas and gamepads all end up as the
+// same actions ('drop', 'drop2' and 'pause'). 'drop2' is player 2's drop in versus mode.
+
+const keyBindingsKey = 'aboveAndBeyond.keyBindings';
+
+// One remappable key per action; Escape always pauses as well
+export const defaultKeyBindings = {
+    drop: 'Space',
+    drop2: 'Enter',
+    pause: 'KeyP',
+};
+
+// Standard gamepad mapping: A (bottom face button) drops, Start pauses.
+// The second gamepad connected drops for player 2.
+const gamepadButtons = {
+    drop: 0,
+    pause: 9,
+};
+
+export function loadKeyBindings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(keyBindingsKey));
+        return { ...defaultKeyBindings, ...saved };
+    } catch (error) {
+        console.error("Error reading key bindings:", error);
+        return { ...defaultKeyBindings };
+    }
+}
+
+export function saveKeyBindings(bindings) {
+    try {
+        localStorage.setItem(keyBindingsKey, JSON.stringify(bindings));
+    } catch (error) {
+        console.error("Error saving key bindings:", error);
+    }
+}
+
+// Turns a KeyboardEvent.code into something readable ('KeyP' -> 'P', 'Digit1' -> '1', 'ArrowUp' -> 'Up')
+export function keyLabel(code) {
+    return code
+        .replace(/^Key/, '')
+        .replace(/^Digit/, '')
+        .replace(/^Arrow/, '');
+}
+
+// Listens to every input source and calls onAction(action) while isActive() says the game canvas is in use
+export function createInput({ canvas, isActive, onAction }) {
+    let bindings = loadKeyBindings();
+    let captureCallback = null;  //set while the settings panel is waiting for a new key
+    let gamepadLoopId = null;
+    const previousButtons = new Map();  //gamepad index -> which buttons were held on the last poll
+
+    function onKeyDown(event) {
+        if (captureCallback) {
+            // Escape cancels rebinding (it's reserved for pausing anyway)
+            const callback = captureCallback;
+            captureCallback = null;
+            event.preventDefault();
+            callback(event.code === 'Escape' ? null : event.code);
+            return;
+        }
+
+        if (!isActive()) return;
+        // Keys pressed on a focused button or field work it (keyboard navigation of the menus), except Escape
+        if (event.code !== 'Escape' && event.target.closest('button, input, select')) return;
+
+        const action = event.code === 'Escape'
+            ? 'pause'
+            : Object.keys(bindings).find((key) => bindings[key] === event.code);
+        if (!action) return;
+
+        event.preventDefault();  // Prevent page scrolling when spacebar is pressed
+        if (event.repeat) return; // Holding a key down shouldn't drop a box every few milliseconds
+        onAction(action);
+    }
+
+    function onPointerDown(event) {
+        if (!isActive() || !event.isPrimary) return;
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        // In versus the left half of the canvas belongs to player 1 and the right half to player 2
+        const rect = canvas.getBoundingClientRect();
+        onAction(event.clientX - rect.left < rect.width / 2 ? 'drop' : 'drop2');
+    }
+
+    // Gamepads can't raise events for button presses, so poll them every frame while one is connected
+    function pollGamepads() {
+        const gamepads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+        if (gamepads.length === 0) {
+            gamepadLoopId = null;
+            previousButtons.clear();
+            return;
+        }
+
+        gamepads.forEach((gamepad, order) => {
+            const held = previousButtons.get(gamepad.index) || {};
+            Object.keys(gamepadButtons).forEach((action) => {
+                const button = gamepad.buttons[gamepadButtons[action]];
+                const pressed = Boolean(button && button.pressed);
+                if (pressed && !held[action] && isActive()) {
+                    onAction(action === 'drop' && order === 1 ? 'drop2' : action);
+                }
+                held[action] = pressed;
+            });
+            previousButtons.set(gamepad.index, held);
+        });
+
+        gamepadLoopId = requestAnimationFrame(pollGamepads);
+    }
+
+    function startGamepadPolling() {
+        if (gamepadLoopId === null) {
+            gamepadLoopId = requestAnimationFrame(pollGamepads);
+        }
+    }
+
+    window.addEventListener('keydown', onKeyDown);
+    canvas.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('gamepadconnected', startGamepadPolling);
+
+    return {
+        getBindings() {
+            return { ...bindings };
+        },
+        setBinding(action, code) {
+            // A key can only do one thing: swap it away from whichever action had it
+            const previousAction = Object.keys(bindings).find((key) => bindings[key] === code);
+            if (previousAction) bindings[previousAction] = bindings[action];
+            bindings[action] = code;
+            saveKeyBindings(bindings);
+        },
+        resetBindings() {
+            bindings = { ...defaultKeyBindings };
+            saveKeyBindings(bindings);
+        },
+        // Hands the next key press to callback(code) instead of the game (null if cancelled with Escape)
+        captureKey(callback) {
+            captureCallback = callback;
+        },
+    };
+}
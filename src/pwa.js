@@ -0,0 +1,54 @@
+// Registers the service worker that makes the game installable and playable offline (built from sw.js
+// by the plugin in vite.config.js), and offers to reload when a new version has been downloaded.
+
+const updatePrompt = document.getElementById('update-prompt');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+const updateDismissBtn = document.getElementById('update-dismiss-btn');
+
+let waitingWorker = null;  //the downloaded version, waiting for the player to reload
+let isUpdating = false;  //true once the player asked for the new version
+
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    updatePrompt.style.display = 'flex';
+}
+
+// A new worker that installs while another one controls the page is an update; the very first one isn't
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+}
+
+updateReloadBtn.addEventListener('click', () => {
+    if (!waitingWorker) return;
+    isUpdating = true;
+    waitingWorker.postMessage('skipWaiting');
+});
+
+updateDismissBtn.addEventListener('click', () => {
+    updatePrompt.style.display = 'none'; // The new version is used next time the game is opened
+});
+
+// There's no service worker in development, it would serve stale modules
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isUpdating) window.location.reload();
+    });
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js')
+            .then(watchForUpdates)
+            .catch((error) => console.error("Error registering service worker:", error));
+    });
+}
@@ -1,33 +1,187 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { createGame, tuneGame, boxHeight, originalBoxSize, winScore, difficultyPresets, gameModes } from './game.js'
+import { createInput, keyLabel } from './input.js'
+import { createAudioManager } from './audio.js'
+import { createTuningPanel } from './tuning.js'
+import { downloadBlob } from './download.js'
+import { registerServiceWorker } from './pwa.js'
+import { loadAccessibilitySettings, saveAccessibilitySettings, isMotionReduced, onSystemMotionChange, layerPalettes } from './accessibility.js'
+import { dayKey, isDayKey, dailySeed, createDailyLevel, loadDailyState, startDailyAttempt, recordDailyResult, currentStreak } from './daily.js'
+import { campaignLevels, levelById, loadCampaignProgress, saveLevelStars, starRating, isLevelUnlocked } from './campaign.js'
 
 // Global variables:
 let camera, scene, renderer, world;
-const originalBoxSize = 3.5;  //initial width and depth of the first box in the stack
+let ambientLight, directionalLight;
+let game = null;  //rules and state of the current run (see game.js); the scene and physics world follow its events
+let towers = [];  //one per player (two in versus mode), each with its own game, layers, overhangs and camera
+let activeTower = null;  //the tower that game, stack, overhangs and camera currently belong to (see useTower)
+let playerCount = 1;  //1, or 2 for local versus
 let stack = [];  //store the stacked layers (each layer is an object containing its Three.js and Cannon.js representations)
 let overhangs = [];  //store falling or overhanging parts of the boxes
-const boxHeight = 1.2;  //height of each box layer
 let gameSTART = false;  //boolean to track if the game has started (controls the animation loop)
 let isPaused = false; //pausegame 
-let boxSpeed = 0.09; //default box movement speed
-const initialBoxSpeed = 0.095; //initial speed for resets
-let score = 0;  //initialize the score
 let animationId = null;
 
+// Runs are deterministic: every frame advances the game by the same amount, so a seed plus
+// the frame index of every drop is enough to play a run back exactly
+let currentRun = null;  //recording of the current run: { version, seed, difficulty, mode, level, day, wobble, inputs, frames, score }
+
+let difficulty = 'normal';  //key of the selected preset in difficultyPresets
+let gameMode = 'classic';  //key of the selected mode in gameModes
+let wobble = false;  //whether the next run is in wobble mode, where placed layers are physics bodies that can topple
+let campaignLevel = null;  //campaign level being played (see campaign.js), or null outside the campaign
+let dailyDay = null;  //day key of the Daily Tower being played (see daily.js), or null outside of it
+let isScoredDailyRun = false;  //true while playing the day's one scored attempt, until it's recorded
+let placementAccuracies = [];  //share of every layer placed this run that landed on the stack (single player)
+let accessibility = loadAccessibilitySettings();  //palette, high-contrast edges and reduced motion (see accessibility.js)
+let reduceMotion = isMotionReduced(accessibility);  //no camera easing or shaking, pulses or ending shake
+let pulses = [];  //expanding outlines shown around perfectly placed layers
+let planets = [];  //{ mesh, spin } for every planet that rotates as the game runs
+let cameraHeight = 6;  //simulated camera height (camera.position.y is interpolated towards it)
+let previousCameraHeight = 6;
+
+// Keep long (Endless) runs from piling up meshes and physics bodies
+const visibleLayers = 40;  //layers below the top that keep their mesh and body; older ones are removed
+const overhangCullDepth = 30;  //overhangs this far below the top of the tower are removed
+
+// Overhangs fade out and are removed once they come to rest, or as soon as they sink into the Earth
+const earthSurfaceY = -5;  //top of the Earth sphere (it has no physics body, so debris falls straight through)
+const overhangFadeRate = 0.02;  //opacity lost per physics update once an overhang has settled
+
+// Fixed-step game loop: the game always advances in frames of gameFrameTime however often the screen
+// refreshes, and rendering blends between the last two frames so movement looks smooth at any refresh rate
+const gameFrameTime = 1 / 60;
+const maxFrameDelta = 0.25;  //longest real gap (in seconds) simulated in one go, e.g. after a hitch
+let lastFrameTime = null;  //requestAnimationFrame timestamp of the previous rendered frame
+let frameAccumulator = 0;  //real time not simulated yet, in seconds
+let previousTop = null;  //{ layer, x, z } of the moving layer before the last game frame
+
+// Physics runs in fixed steps taken from an accumulator, whatever time is handed to updatePhysics()
+const physicsTimeStep = 1 / 60;
+const maxPhysicsSubSteps = 5;  //cap per update so a slow frame can't snowball into ever longer steps
+let physicsAccumulator = 0;
+
+// Debug readout (open the game with ?debug in the URL)
+const isDebug = new URLSearchParams(window.location.search).has('debug');
+const debugStats = { stepTime: 0, frames: 0, lastUpdate: 0 };
+
+// The journey: the camera climbs with the tower, passing the Moon and Saturn on the way to Mars.
+// Planets are placed so that they line up with the view when the score reaches their waypoint.
+const cameraStart = new THREE.Vector3(6, 6, 6);  //where the camera starts, looking at the origin
+const viewDirection = new THREE.Vector3(-1, -1, -1).normalize();
+const screenUp = new THREE.Vector3(-1, 2, -1).normalize();  //world Y flattened onto the screen
+const screenRight = new THREE.Vector3().crossVectors(viewDirection, screenUp);
+const journeyWaypoints = {
+    moon: { score: 15, right: -4.5, up: 1.5, depth: 40 },
+    saturn: { score: 32, right: 4.5, up: 1, depth: 60 },
+    mars: { score: 50, right: 4, up: 2, depth: 50 },
+};
+const skyOverlay = document.getElementById('sky-overlay');  //background2, faded in over background1
+const debugReadout = document.getElementById('debug-readout');
+debugReadout.style.display = isDebug ? 'block' : 'none';
+
+// Values the tuning panel can change while the game runs (see TUNING at the bottom of this file)
+const tuning = {
+    gravity: 10,  //downward pull on the physics world
+    solverIterations: 10,
+    ambientLight: 0.6,  //light intensities
+    directionalLight: 0.6,
+    boxHeight,
+    originalBoxSize,
+    winScore,
+    speedScale: 1,  //multiplies the difficulty curve's box speeds
+};
+
+// Why a run ended, shown on the game over screen
+const gameOverReasons = {
+    miss: "You missed the stack entirely.",
+    tooSmall: "The box became too small to continue.",
+    toppled: "The tower toppled over.",
+};
+
+// How each special block is drawn (a glow and outline in its colour) and announced when it's placed
+const specialBlocks = {
+    slowMotion: { label: 'SLOW MOTION', color: 0x7dd3fc },
+    widen: { label: 'WIDEN', color: 0x86efac },
+    shield: { label: 'SHIELD', color: 0xfde047 },
+    heavy: { label: 'HEAVY', color: 0x9ca3af },
+};
+const heavyOverhangMass = 40;  //an ordinary overhang weighs 5
+
+// Versus towers stand in the same spot of the same scene and physics world. Each tower's meshes are
+// on their own layer, so only its own camera draws them, and its bodies only collide with each other.
+function createTower(player, towerGame) {
+    return {
+        player,  //0 for player 1, 1 for player 2
+        game: towerGame,
+        stack: [],
+        overhangs: [],
+        camera: null,  //created in init()
+        cameraHeight: cameraStart.y,
+        previousCameraHeight: cameraStart.y,
+        previousTop: null,
+        focus: new THREE.Vector3(0, 0, 0),  //point the camera looks at (see updateCamera)
+        zoom: 1,  //how far the camera has zoomed out (1 shows viewWidth across)
+        overview: null,  //{ focus, zoom } the camera eases to once the run is over
+        shake: 0,  //how hard the camera is shaking (0-1), see updateCamera
+    };
+}
+
+// Points game, stack, overhangs, camera and the camera climb at the given tower, saving the previous tower's state
+function useTower(tower) {
+    if (activeTower) {
+        Object.assign(activeTower, { game, stack, overhangs, camera, cameraHeight, previousCameraHeight, previousTop });
+    }
+    activeTower = tower;
+    ({ game, stack, overhangs, camera, cameraHeight, previousCameraHeight, previousTop } = tower);
+}
+
+// Runs callback(tower, index) with each tower in turn made the active one
+function eachTower(callback) {
+    towers.forEach((tower, index) => {
+        useTower(tower);
+        callback(tower, index);
+    });
+}
+
+function isVersus() {
+    return towers.length > 1;
+}
+
+
+const paletteLength = 30;  //layers it takes to climb a palette from its first colour to its last
+
+// Colour of the layer at the given height: orange to green up the tower, and Endless runs keep
+// cycling round the colour wheel after that (or the chosen colour-blind palette, back and forth)
+function layerColor(index) {
+    const { stops } = layerPalettes[accessibility.palette];
+    if (stops) {
+        const ramp = index / paletteLength;
+        const position = game.mode === 'endless' ? 1 - Math.abs(ramp % 2 - 1) : Math.min(1, ramp);
+        const scaled = position * (stops.length - 1);
+        const stop = Math.min(stops.length - 2, Math.floor(scaled));
+        return new THREE.Color(stops[stop]).lerp(new THREE.Color(stops[stop + 1]), scaled - stop);
+    }
+
+    const hue = game.mode === 'endless' ? (30 + index * 3) % 360 : Math.min(120, 30 + index * 3)
+    const lightness = Math.min(50, 30 + index * 0.5)
+    return new THREE.Color(`hsl(${hue}, 100%, ${lightness}%)`)
+}
 
 // Generates a box in the 3D world and physics engine
 function generateBox(x, y, z, width, depth, falls) {
     // Create the geometry for the box in Three.js
     const boxGeometry = new THREE.BoxGeometry(width, boxHeight, depth);
     
-    const hue = Math.min(120, 30 + stack.length * 3)
-    const lightness = Math.min(50, 30 + stack.length * 0.5)
-    const color = new THREE.Color(`hsl(${hue}, 100%, ${lightness}%)`)
+    const color = layerColor(stack.length)
     
     const boxMaterial = new THREE.MeshLambertMaterial({ color })
 
     const box = new THREE.Mesh(boxGeometry, boxMaterial)
     box.position.set(x, y, z);
+    box.layers.set(activeTower.player + 1);  // Only drawn by this tower's camera
     scene.add(box);  
 
     // corresponding physics body in Cannon.js
@@ -39,6 +193,8 @@ function generateBox(x, y, z, width, depth, falls) {
     // body with the specified mass and shape
     const body = new CANNON.Body({ mass, shape });
     body.position.set(x, y, z);  // Set the position of the body
+    body.collisionFilterGroup = 1 << activeTower.player;  // Never collides with the other player's tower
+    body.collisionFilterMask = 1 << activeTower.player;
     world.addBody(body);  // Add the body to the physics simulation
 
     // Return both the Three.js mesh and Cannon.js body, along with the dimensions
@@ -50,95 +206,476 @@ function generateBox(x, y, z, width, depth, falls) {
     };
 }
 
-// Adds a new layer to the stack, either as the foundation or a moving layer
-function addLayer(x, z, width, depth, direction, incrementScore = true) {
-    // Calculate the vertical position based on the number of existing layers
-    const y = boxHeight * stack.length;
+// Adds the mesh and physics body for a layer of the game's stack
+function addLayer(layer) {
     // Create the new layer using generateBox (falls is false because it’s part of the stack)
-    const layer = generateBox(x, y, z, width, depth, false);
-    // Assign the movement direction for the new layer ('x' or 'z')
-    layer.direction = direction;
+    const view = generateBox(layer.x, layer.y, layer.z, layer.width, layer.depth, false);
+    if (layer.special) {
+        applySpecialLook(view, layer.special);
+    } else if (accessibility.highContrast) {
+        addEdges(view);
+    }
+    // In wobble mode the moving layer passes over the top of the tower without pushing it around
+    if (game.wobble && layer.direction) view.cannonjs.collisionResponse = false;
     // Add the new layer to the stack array for tracking
-    stack.push(layer);
+    stack.push(view);
+}
+
+// Makes a special block stand out: it glows in its colour and gets an outline (heavy blocks are also darker)
+function applySpecialLook(view, special) {
+    const { color } = specialBlocks[special];
+    const material = view.threejs.material;
+    material.emissive.setHex(color).multiplyScalar(0.4);
+    if (special === 'heavy') material.color.multiplyScalar(0.4);
+
+    const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(view.threejs.geometry),
+        new THREE.LineBasicMaterial({ color })
+    );
+    outline.layers.mask = view.threejs.layers.mask;  // Children don't inherit the mesh's layer
+    view.threejs.add(outline);  // Moves and scales with the block
+}
+
+// Outlines a box in black so neighbouring layers stand apart (the high-contrast setting)
+function addEdges(view) {
+    const edges = new THREE.LineSegments(
+        new THREE.EdgesGeometry(view.threejs.geometry),
+        new THREE.LineBasicMaterial({ color: 0x000000 })
+    );
+    edges.name = 'edges';
+    edges.layers.mask = view.threejs.layers.mask;
+    view.threejs.add(edges);
+}
+
+// Removes a box's mesh (and its outline, if it has one) from the scene and its body from the physics world
+function disposeBox(view) {
+    scene.remove(view.threejs);
+    view.threejs.traverse((object) => {
+        object.geometry.dispose();
+        object.material.dispose();
+    });
+    world.removeBody(view.cannonjs);
+}
+
+// Removes the top layer's mesh and physics body (the moving layer travelled out of range)
+function removeTopLayer() {
+    disposeBox(stack.pop());
+}
 
-    if (incrementScore) {
-        score++;
-        updateScore();
+// Removes the mesh and body of the layer that just dropped out of the visible part of the tower.
+// The entry stays in stack (marked culled) so indexes keep matching the game's stack.
+function cullOldLayers() {
+    const oldLayer = stack[stack.length - 1 - visibleLayers];
+    if (oldLayer && !oldLayer.culled) {
+        disposeBox(oldLayer);
+        oldLayer.culled = true;
     }
 }
 
+// Fades and removes overhangs that have settled, and drops the ones that fell into the Earth or far below the tower
+function updateOverhangs() {
+    const cullHeight = Math.max(earthSurfaceY, boxHeight * (stack.length - 1) - overhangCullDepth);
+
+    overhangs = overhangs.filter((overhang) => {
+        const body = overhang.cannonjs;
+        if (body.position.y < cullHeight) {
+            disposeBox(overhang);
+            return false;
+        }
+
+        if (body.sleepState === CANNON.Body.SLEEPING) {
+            const material = overhang.threejs.material;
+            material.transparent = true;
+            material.opacity -= overhangFadeRate;
+            if (material.opacity <= 0) {
+                disposeBox(overhang);
+                return false;
+            }
+        }
+        return true;
+    });
+}
+
 // Adds an overhang to the scene when the top layer is partially cut off
-function addOverhang(x, z, width, depth) {
-    // Place the overhang at the height of the current top layer
-    const y = boxHeight * (stack.length - 1);
+function addOverhang(piece) {
     // Generate the overhanging box (falls is true since it should fall due to gravity)
-    const overhang = generateBox(x, y, z, width, depth, true)
+    const overhang = generateBox(piece.x, piece.y, piece.z, piece.width, piece.depth, true)
+    overhang.cannonjs.sleepSpeedLimit = 0.2;  // Counts as resting below this speed...
+    overhang.cannonjs.sleepTimeLimit = 0.5;  // ...for this many seconds
+    if (piece.heavy) {
+        // Heavy blocks drop their overhang hard enough to scatter the debris below
+        applySpecialLook(overhang, 'heavy');
+        overhang.cannonjs.mass = heavyOverhangMass;
+        overhang.cannonjs.updateMassProperties();
+        overhang.cannonjs.velocity.y = -6;
+    } else if (accessibility.highContrast) {
+        addEdges(overhang);
+    }
+    // Where the body was before the last physics step, for interpolating the mesh between steps
+    overhang.previousPosition = new THREE.Vector3(piece.x, piece.y, piece.z);
+    overhang.previousQuaternion = new THREE.Quaternion();
     // Add the overhang to the overhangs array to track falling pieces
     overhangs.push(overhang)
 }
 
-// Updates the physics simulation for overhanging boxes
-function updatePhysics() {
-    world.step(1 / 60)  // Step the physics simulation at 60 fps
+//WOBBLE:
+// In wobble mode placed layers aren't cut down and become dynamic bodies, so an off-centre tower sways
+// and can fall over. Only the top of the tower is simulated; lower layers are frozen where they stand.
+const wobbleDepth = 10;  //placed layers below the top that are simulated
+const wobbleFriction = 0.8;
+const toppleTilt = Math.cos(THREE.MathUtils.degToRad(25));  //a layer tipped further than this has fallen
+const shakePerSpeed = 0.4;  //camera shake from the fastest moving layer, per unit of speed
+
+// Turns a just placed layer into a dynamic body, and freezes the one that dropped out of the simulated top
+function startWobbling(view, layer) {
+    const body = view.cannonjs;
+    body.type = CANNON.Body.DYNAMIC;
+    body.mass = view.width * view.depth;  // Heavier the bigger it is
+    body.updateMassProperties();
+    body.collisionResponse = true;
+    body.sleepSpeedLimit = 0.05;
+    body.sleepTimeLimit = 1;
+    view.wobbles = true;
+    view.layer = layer;  // The game's layer, kept where the body sways to (see updateWobble())
+    view.restingY = body.position.y;  // Height it was placed at
+    view.previousPosition = new THREE.Vector3().copy(body.position);
+    view.previousQuaternion = new THREE.Quaternion().copy(body.quaternion);
+
+    const settled = stack[stack.length - 2 - wobbleDepth];
+    if (settled && settled.wobbles && !settled.culled) {
+        settled.cannonjs.type = CANNON.Body.STATIC;
+        settled.cannonjs.mass = 0;
+        settled.cannonjs.updateMassProperties();
+        settled.cannonjs.velocity.setZero();
+        settled.cannonjs.angularVelocity.setZero();
+        settled.wobbles = false;
+    }
+}
+
+// The active tower's layers that are dynamic bodies
+function wobblingLayers() {
+    return stack.slice(-wobbleDepth - 2).filter((view) => view.wobbles);
+}
 
-    // Synchronize Cannon.js positions with Three.js meshes
-    overhangs.forEach((element) => {
-        element.threejs.position.copy(element.cannonjs.position);  // Sync position
-        element.threejs.quaternion.copy(element.cannonjs.quaternion);  // Sync rotation
+// Moves the game's layers to where their bodies have swayed or slid to, so drops are judged against (and new
+// layers spawn over) the tower as it stands. Shakes the camera as the active tower sways, and ends the run once
+// a layer has tipped over or fallen off.
+function updateWobble() {
+    const up = new CANNON.Vec3(0, 1, 0);
+    let fastest = 0;
+    let toppled = false;
+    wobblingLayers().forEach((view) => {
+        const body = view.cannonjs;
+        view.layer.x = body.position.x;
+        view.layer.y = body.position.y;
+        view.layer.z = body.position.z;
+        fastest = Math.max(fastest, body.velocity.length());
+        const tilt = body.quaternion.vmult(up).y;
+        if (tilt < toppleTilt || view.restingY - body.position.y > boxHeight / 2) toppled = true;
     });
+    activeTower.shake = Math.max(activeTower.shake, Math.min(1, fastest * shakePerSpeed));
+
+    // The moving layer rides just above the layer it will land on, however far that has sunk
+    const [previous, top] = game.stack.slice(-2);
+    top.y = previous.y + boxHeight;
+
+    if (toppled) game.topple();
 }
 
-// Cuts the box when it doesn't perfectly align with the previous layer
-function cutBox(topLayer, overlap, size, delta) {
-    const direction = topLayer.direction;  // Get the movement direction ('x' or 'z')
+// How well the active tower's centre of mass sits over its base: 1 right above the middle, 0 at (or past) the edge.
+// Measured from where the bodies have swayed or slid to, not where the layers were dropped.
+function towerStability() {
+    const [base, ...placed] = stack.slice(0, -1);
+    let mass = 0;
+    let x = 0;
+    let z = 0;
+    placed.forEach((view) => {
+        const { position } = view.cannonjs;
+        const layerMass = view.width * view.depth;
+        mass += layerMass;
+        x += position.x * layerMass;
+        z += position.z * layerMass;
+    });
+    if (mass === 0) return 1;
 
-    // Calculate the new dimensions for the trimmed box
-    const newWidth = direction === 'x' ? overlap : topLayer.width;
-    const newDepth = direction === 'z' ? overlap : topLayer.depth; 
+    const { position } = base.cannonjs;
+    const offset = Math.max(Math.abs(x / mass - position.x) / (base.width / 2), Math.abs(z / mass - position.z) / (base.depth / 2));
+    return Math.max(0, 1 - offset);
+}
 
-    //update the Three.js properties to visually represent the cut
-    topLayer.threejs.scale[direction === 'x' ? 'x' : 'z'] = overlap / size;  //Shrink the box
-    topLayer.threejs.position[direction] -= delta / 2;  //Adjust position to center the cut
+function updateStabilityMeter() {
+    const stability = towerStability();
+    stabilityFill.style.width = `${stability * 100}%`;
+    stabilityFill.style.backgroundColor = `hsl(${stability * 120}, 90%, 50%)`;  // Green down to red
+}
+
+//HAZARDS:
+// Pushes the active tower's falling pieces sideways in a campaign level with wind (forces only last one step)
+function applyWind() {
+    const wind = game.level && game.level.hazards.wind;
+    if (!wind) return;
+    overhangs.forEach((overhang) => {
+        const body = overhang.cannonjs;
+        body.applyForce(new CANNON.Vec3(wind[0] * body.mass, 0, wind[1] * body.mass));
+    });
+}
 
-    // Update the Cannon.js physics body for the trimmed box
-    topLayer.cannonjs.position[direction] -= delta / 2;  //sync with Three.js position adjustment
+// Moves the placed layers along with a drifting base (the moving layer is synced on its own)
+function driftTower(axis, delta) {
+    stack.slice(0, -1).forEach((view) => {
+        if (view.culled) return;
+        view.threejs.position[axis] += delta;
+        view.cannonjs.position[axis] += delta;
+    });
+}
+
+// Advances the physics simulation by dt seconds in fixed steps, then updates the overhangs
+function updatePhysics(dt) {
+    const start = performance.now();
+
+    physicsAccumulator += dt;
+    let steps = 0;
+    while (physicsAccumulator >= physicsTimeStep && steps < maxPhysicsSubSteps) {
+        eachTower(() => {
+            overhangs.concat(wobblingLayers()).forEach((view) => {
+                view.previousPosition.copy(view.cannonjs.position);
+                view.previousQuaternion.copy(view.cannonjs.quaternion);
+            });
+            applyWind();
+        });
+        world.step(physicsTimeStep);
+        physicsAccumulator -= physicsTimeStep;
+        steps++;
+    }
+    if (steps === maxPhysicsSubSteps) {
+        physicsAccumulator = 0; // Too far behind: drop the backlog instead of trying to catch up
+    }
+
+    eachTower(updateOverhangs);
+    debugStats.stepTime = performance.now() - start;
+}
+
+// Shows body count and physics step time, refreshed a few times a second
+function updateDebugReadout() {
+    debugStats.frames++;
+    const now = performance.now();
+    const elapsed = now - debugStats.lastUpdate;
+    if (elapsed < 250) return;
+
+    const fps = Math.round(debugStats.frames * 1000 / elapsed);
+    let overhangCount = 0;
+    eachTower(() => {
+        overhangCount += overhangs.length;
+    });
+    debugReadout.innerText = `Bodies: ${world.bodies.length} | Overhangs: ${overhangCount}`
+        + ` | Step: ${debugStats.stepTime.toFixed(2)} ms | FPS: ${fps}`;
+    debugStats.frames = 0;
+    debugStats.lastUpdate = now;
+}
+
+// Copies a game layer's position and footprint onto its mesh and physics body (after a move, cut or regrow)
+function syncLayer(view, layer) {
+    view.threejs.position.set(layer.x, layer.y, layer.z);
+    view.cannonjs.position.set(layer.x, layer.y, layer.z);
+
+    if (view.width === layer.width && view.depth === layer.depth) return;
+
+    // Scale relative to the geometry the mesh was created with
+    const { width, depth } = view.threejs.geometry.parameters;
+    view.threejs.scale.x = layer.width / width;
+    view.threejs.scale.z = layer.depth / depth;
 
     //Create a new shape with the updated dimensions for the physics engine
-    const newShape = new CANNON.Box(new CANNON.Vec3(newWidth / 2, boxHeight / 2, newDepth / 2));
-    
-    topLayer.cannonjs.shapes = [];  //clear existing shapes to replace with the new one
-    topLayer.cannonjs.addShape(newShape);  //add the new shape to the physics body
+    const newShape = new CANNON.Box(new CANNON.Vec3(layer.width / 2, boxHeight / 2, layer.depth / 2));
+    view.cannonjs.shapes = [];  //clear existing shapes to replace with the new one
+    view.cannonjs.addShape(newShape);  //add the new shape to the physics body
+
+    view.width = layer.width;
+    view.depth = layer.depth;
+}
+
+// Keeps the scene, physics world, HUD and sounds in step with what happens in the game
+function handleGameEvent(event) {
+    switch (event.type) {
+        case 'layerAdded':
+            addLayer(event.layer);
+            cullOldLayers();
+            break;
+        case 'layerRemoved':
+            removeTopLayer();
+            break;
+        case 'layerPlaced':
+            syncLayer(stack[stack.length - 1], event.layer);
+            if (game.wobble) startWobbling(stack[stack.length - 1], event.layer);
+            if (event.perfect) {
+                playPerfectSound();
+                addPulse(stack[stack.length - 1]);
+                showPerfectIndicator();
+            } else {
+                playStackingSound();
+            }
+            break;
+        case 'overhang':
+            addOverhang(event.piece);
+            break;
+        case 'scoreChanged':
+            updateScore();
+            announce(playerPrefix() + (game.target === null ? `Score ${game.score}.` : `Score ${game.score} of ${game.target}.`));
+            break;
+        case 'gameOver':
+            if (event.reason === 'toppled') activeTower.shake = 1;
+            if (isVersus()) {
+                versusScores[activeTower.player].classList.add('fallen'); // The match goes on, see checkVersusOutcome()
+            } else {
+                endRun(event.reason);
+            }
+            break;
+        case 'won':
+                if (!isVersus()) showVictory(); // In versus reaching the goal first wins the match, see checkVersusOutcome()
+            break;
+        case 'milestone':
+            showMilestone(event.score);
+            break;
+        case 'towerDrifted':
+            driftTower(event.axis, event.delta);
+            break;
+        case 'specialActivated':
+            showPowerUp(specialBlocks[event.special].label);
+            updateScore();
+            break;
+        case 'specialEnded':
+            updateScore();
+            break;
+        case 'pointsScored':
+            if (!isVersus()) placementAccuracies.push(event.accuracy);
+            showFloatingPoints(event.points, event.multiplier);
+            updateScore();
+            if (event.accuracy < nearMissAccuracy) {
+                announce(`${playerPrefix()}Close call! Only ${Math.round(event.accuracy * 100)} percent landed.`);
+            }
+            break;
+        case 'speedBonus':
+            showPowerUp(`SPEED BONUS +${event.points}`);
+            updateScore();
+            break;
+        case 'shieldUsed':
+            showPowerUp('SHIELDED!');
+            announce(`${playerPrefix()}Missed, but the shield saved you.`);
+            playStackingSound();
+            updateScore();
+            break;
+    }
+}
+
+// Shows an expanding, fading outline around a perfectly placed layer
+function addPulse(layer) {
+    if (reduceMotion) return;
+    const geometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(layer.width, boxHeight, layer.depth));
+    const material = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true });
+    const outline = new THREE.LineSegments(geometry, material);
+    outline.position.copy(layer.threejs.position);
+    outline.layers.set(activeTower.player + 1);
+    scene.add(outline);
+    pulses.push({ mesh: outline, life: 1 });
+}
+
+// Expands and fades the perfect-placement outlines over elapsed seconds, removing them once they disappear
+function updatePulses(elapsed) {
+    pulses.forEach((pulse) => {
+        pulse.life -= elapsed * 2.4;
+        pulse.mesh.scale.setScalar(1 + (1 - pulse.life) * 0.4);
+        pulse.mesh.material.opacity = Math.max(0, pulse.life);
+    });
 
-    // Update the metadata for the trimmed layer
-    topLayer.width = newWidth; 
-    topLayer.depth = newDepth;  
+    pulses = pulses.filter((pulse) => {
+        if (pulse.life > 0) return true;
+        scene.remove(pulse.mesh);
+        pulse.mesh.geometry.dispose();
+        pulse.mesh.material.dispose();
+        return false;
+    });
 }
 
+// Pops the "PERFECT" label on the HUD, showing the streak once it's more than one
+function showPerfectIndicator() {
+    const indicator = document.getElementById('perfect-indicator');
+    const player = isVersus() ? `P${activeTower.player + 1} ` : '';
+    indicator.innerText = player + (game.perfectStreak > 1 ? `PERFECT x${game.perfectStreak}` : 'PERFECT');
+    indicator.classList.remove('show');
+    void indicator.offsetWidth; // Restart the CSS animation
+    indicator.classList.add('show');
+}
 
-function generateNewLayer(incrementScore = true) {
-    // Get the current top layer's width and depth
-    const topLayer = stack[stack.length - 1];
-    const width = topLayer.width;
-    const depth = topLayer.depth;
 
-    // Alternate movement direction for the new layer
-    const direction = stack.length % 2 === 0 ? 'x' : 'z';
+// Floats "+points" up from the layer that was just placed (the top of the active tower)
+function showFloatingPoints(points, multiplier) {
+    if (isSeeking) return;
+
+    // Where the layer is on screen, within the active tower's side of the canvas
+    const position = stack[stack.length - 1].threejs.position.clone().project(camera);
+    const viewportWidth = window.innerWidth / towers.length;
+    const label = document.createElement('div');
+    label.className = 'floating-points';
+    label.innerText = `+${points}` + (multiplier > 1 ? ` x${multiplier}` : '');
+    label.style.left = `${(activeTower.player + (position.x + 1) / 2) * viewportWidth}px`;
+    label.style.top = `${(1 - position.y) / 2 * window.innerHeight}px`;
+    label.addEventListener('animationend', () => label.remove());
+    document.body.appendChild(label);
+}
 
-    // Set position for the new layer based on the direction and previous layer's position
-    const x = direction === 'x' ? -10 : topLayer.threejs.position.x;
-    const z = direction === 'z' ? -10 : topLayer.threejs.position.z;
+// Announces a special block taking effect (and which player's it was in versus)
+function showPowerUp(text) {
+    if (isSeeking) return; // Stay quiet while fast-forwarding a replay
+    audio.playSfx('milestone', { playbackRate: 1.5 });
 
-    // Add the new layer using the same dimensions (width, depth) as the current layer
-    addLayer(x, z, width, depth, direction, false);
+    const indicator = document.getElementById('power-up-indicator');
+    indicator.innerText = (isVersus() ? `P${activeTower.player + 1} ` : '') + text;
+    indicator.classList.remove('show');
+    void indicator.offsetWidth; // Restart the CSS animation
+    indicator.classList.add('show');
 }
 
-// Initializes the game by setting up the scene, camera, renderer, and initial layers
+// Height the camera settles at once the given number of layers are stacked (see stepFrame)
+function cameraHeightAt(score) {
+    return Math.max(cameraStart.y, boxHeight * score + 4);
+}
+
+// World position that appears at (right, up) on screen, depth units behind the tower, when the score is reached
+function journeyPosition({ score, right, up, depth }) {
+    return new THREE.Vector3(cameraStart.x, cameraHeightAt(score), cameraStart.z)
+        .addScaledVector(viewDirection, depth)
+        .addScaledVector(screenRight, right)
+        .addScaledVector(screenUp, up);
+}
+
+// Spins the planets and fades the sky from background1 into background2 as the (highest) camera climbs
+function updateJourney() {
+    planets.forEach((planet) => {
+        planet.mesh.rotation.y += planet.spin;
+    });
+
+    let height = cameraStart.y;
+    eachTower(() => {
+        height = Math.max(height, cameraHeight);
+    });
+    const progress = (height - cameraStart.y) / (cameraHeightAt(winScore) - cameraStart.y);
+    skyOverlay.style.opacity = Math.min(1, Math.max(0, progress));
+}
+
+// Initializes the scene, camera, renderer and physics world for the current game
 function init() {
     // Initialize the Cannon.js physics world with gravity and a broadphase collision strategy
     world = new CANNON.World();
-    world.gravity.set(0, -10, 0);  // Gravity pulls objects down along the Y-axis
-    world.broadphase = new CANNON.NaiveBroadphase();  // Simple broadphase for performance
-    world.solver.iterations = 40;  // Increase solver iterations for stable physics
+    world.gravity.set(0, -tuning.gravity, 0);  // Gravity pulls objects down along the Y-axis
+    world.broadphase = new CANNON.SAPBroadphase(world);  // Sweep-and-prune: only tests boxes that overlap along an axis
+    world.solver.iterations = tuning.solverIterations;  // 10 is enough for boxes resting on boxes
+    world.allowSleep = true;  // Settled overhangs stop being simulated (and then fade out)
+    if (currentRun.wobble) {
+        // Wobbling layers grip each other instead of sliding and bouncing off
+        world.defaultContactMaterial.friction = wobbleFriction;
+        world.defaultContactMaterial.restitution = 0;
+    }
+    physicsAccumulator = 0;
 
     // Create the Three.js scene where objects will be rendered
     scene = new THREE.Scene();
@@ -146,16 +683,15 @@ function init() {
 
 
     function addTexturedSphere() {
-        // Add background image to the scene
-        const textureLoader = new THREE.TextureLoader();
-        const backgroundTexture = textureLoader.load('/background1.jpg'); // Replace with the path to your background image
-        scene.background = backgroundTexture;
+        // The background images are behind the (transparent) canvas so they can crossfade, see updateJourney()
+        // The textures were all loaded behind the loading screen, see LOADING
+        planets = [];
 
         // Create Earth sphere geometry
         const sphereGeometry = new THREE.SphereGeometry(100, 32, 32);
     
         // Load Earth texture
-        const earthTexture = textureLoader.load('/earth.jpeg'); // Adjust path as needed
+        const earthTexture = textures.earth;
     
         // Create material for Earth
         const sphereMaterial = new THREE.MeshStandardMaterial({
@@ -176,149 +712,424 @@ function init() {
         // Create Moon sphere geometry
         const moonGeometry = new THREE.SphereGeometry(2, 32, 32); // Moon is smaller
         // Load Moon texture
-        const moonTexture = textureLoader.load('/moon.jpg'); // Adjust path as needed
+        const moonTexture = textures.moon;
         // Create material for Moon
         const moonMaterial = new THREE.MeshStandardMaterial({
             map: moonTexture,
         });
         // Create Moon mesh
         const moonSphere = new THREE.Mesh(moonGeometry, moonMaterial);
-        // Position the Moon relative to Earth
-        moonSphere.position.set(-20, 9, -15); // Adjust distance and position relative to Earth
+        // Position the Moon so the tower passes it on the way up
+        moonSphere.position.copy(journeyPosition(journeyWaypoints.moon));
         // Add Moon to the scene
         scene.add(moonSphere);
+        planets.push({ mesh: moonSphere, spin: 0.002 });
 
         // Create Mars sphere geometry
         const marsGeometry = new THREE.SphereGeometry(4.2, 32, 32); // Mars is smaller
-        const marsTexture = textureLoader.load('/mars.jpg'); // Adjust path as needed
+        const marsTexture = textures.mars;
         const marsMaterial = new THREE.MeshStandardMaterial({
             map: marsTexture,
         });
         const marsSphere = new THREE.Mesh(marsGeometry, marsMaterial);
-        marsSphere.position.set(-40, 10, -47);
+        marsSphere.position.copy(journeyPosition(journeyWaypoints.mars)); // Zyck's home, reached at the win score
         scene.add(marsSphere);
+        planets.push({ mesh: marsSphere, spin: 0.003 });
+
+        // Create Saturn sphere geometry
+        const saturnGeometry = new THREE.SphereGeometry(2.5, 32, 32);
+        const saturnTexture = textures.saturn;
+        const saturnMaterial = new THREE.MeshStandardMaterial({
+            map: saturnTexture,
+        });
+        const saturnSphere = new THREE.Mesh(saturnGeometry, saturnMaterial);
+        saturnSphere.position.copy(journeyPosition(journeyWaypoints.saturn));
+        saturnSphere.rotation.z = 0.4; // Tilt Saturn (and its ring) towards the camera
+        scene.add(saturnSphere);
+        planets.push({ mesh: saturnSphere, spin: 0.004 });
+
+        // Saturn's ring: the texture is a strip running from the inner to the outer edge,
+        // so map u to the distance from the centre instead of the default planar UVs
+        const ringInner = 3.2;
+        const ringOuter = 5.5;
+        const ringGeometry = new THREE.RingGeometry(ringInner, ringOuter, 64);
+        const ringPositions = ringGeometry.attributes.position;
+        const ringUvs = ringGeometry.attributes.uv;
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < ringPositions.count; i++) {
+            vertex.fromBufferAttribute(ringPositions, i);
+            ringUvs.setXY(i, (vertex.length() - ringInner) / (ringOuter - ringInner), 0.5);
+        }
+        const ringTexture = textures.saturnRing;
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            map: ringTexture,
+            side: THREE.DoubleSide,
+            transparent: true,
+        });
+        const ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
+        ringMesh.rotation.x = Math.PI / 2; // Lay the ring flat around Saturn's equator
+        saturnSphere.add(ringMesh);
 
         // Create Jupiter sphere geometry
         const jupiterGeometry = new THREE.SphereGeometry(0.3, 32, 32); // Jupiter is smaller
-        const jupiterTexture = textureLoader.load('/jupiter.jpg'); // Adjust path as needed
+        const jupiterTexture = textures.jupiter;
         const jupiterMaterial = new THREE.MeshStandardMaterial({
             map: jupiterTexture,
         });
         const jupiterSphere = new THREE.Mesh(jupiterGeometry, jupiterMaterial);
         jupiterSphere.position.set(-25, 35, -17);
         scene.add(jupiterSphere);
+        planets.push({ mesh: jupiterSphere, spin: 0.01 });
 
         // Create Venus sphere geometry
         const venusGeometry = new THREE.SphereGeometry(0.1, 32, 32); // Venus is smaller
-        const venusTexture = textureLoader.load('/venus.jpg'); // Adjust path as needed
+        const venusTexture = textures.venus;
         const venusMaterial = new THREE.MeshStandardMaterial({
             map: venusTexture,
         });
         const venusSphere = new THREE.Mesh(venusGeometry, venusMaterial);
         venusSphere.position.set(-24, -8, -30);
         scene.add(venusSphere);
+        planets.push({ mesh: venusSphere, spin: 0.01 });
 
     }
     
     addTexturedSphere();
 
-    // Add the initial foundation layer at the bottom (stationary)
-    addLayer(0, 0, originalBoxSize, originalBoxSize, false);
-
-    // Add the first moving layer, starting off-screen to the left (moving along 'x')
-    addLayer(-10, 0, originalBoxSize, originalBoxSize, 'x', false);
+    // Add the foundation layer and the first moving layer each game starts with, then follow the game
+    eachTower(() => {
+        game.stack.forEach(addLayer);
+        game.subscribe(handleGameEvent);
+    });
 
     // Add ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    ambientLight = new THREE.AmbientLight(0xffffff, tuning.ambientLight);
     scene.add(ambientLight);
 
     // Add directional light to simulate sunlight (shadows, highlights)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.6);
+    directionalLight = new THREE.DirectionalLight(0xffffff, tuning.directionalLight);
     directionalLight.position.set(10, 20, 0);  
     scene.add(directionalLight);
 
-    const width = 15;
-    const height = width * (window.innerHeight / window.innerWidth);  // Maintain aspect ratio
-    camera = new THREE.OrthographicCamera(
-        width / -2, width / 2, height / 2, height / -2, 1, 100
-    );
-    camera.position.set(6, 6, 6);  // Position the camera above and to the side
-    camera.lookAt(0, 0, 0);  
-
+    // One camera per tower, each filling its share of the canvas (the frustum is set in updateCameraFrustum)
+    eachTower((tower) => {
+        camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, cameraFar);
+        camera.layers.enable(tower.player + 1);  // The shared scenery plus this tower
+        camera.position.copy(cameraStart);  // Position the camera above and to the side
+        camera.lookAt(0, 0, 0);  
+        updateCameraFrustum();
+    });
+    skyOverlay.style.opacity = 0;
 
-    renderer = new THREE.WebGLRenderer({ canvas });
-    renderer.setSize(window.innerWidth, window.innerHeight);  // Fullscreen rendering
-    renderer.render(scene, camera);  // Render the initial frame
 
-    window.addEventListener('resize', () => {
-        camera.aspect = window.innerWidth / window.innerHeight;  // Adjust aspect ratio
-        camera.updateProjectionMatrix();  // Update the camera projection
-        renderer.setSize(window.innerWidth, window.innerHeight);  // Resize renderer
+    // The renderer (and its WebGL context) is kept across restarts
+    if (!renderer) {
+        renderer = new THREE.WebGLRenderer({ canvas, alpha: true });  // Transparent so the sky behind it shows
         renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));  // Handle high-DPI displays
+        renderer.setSize(window.innerWidth, window.innerHeight);  // Fullscreen rendering
+    }
+    renderTowers();  // Render the initial frame
+}
+
+//CAMERA:
+const viewWidth = 15;  //world units across a tower's view at zoom 1 (the height follows the viewport's shape)
+const cameraFar = 100;  //how far the camera sees past its usual distance from the point it looks at
+const cameraDistance = cameraStart.length();  //how far the camera sits back from the point it looks at
+const recentLayers = 4;  //placed layers below the top that the camera zooms out to keep in view
+const cameraEasing = 3;  //how quickly zoom and overview moves catch up with their target (per second)
+const viewMargin = 1.15;  //breathing room around whatever the camera fits into view
+const overviewDuration = 1500;  //ms the tower overview plays before the end screen comes up
+const maxShake = 0.3;  //furthest the camera moves (in world units) when shaking as hard as it can
+const shakeDecay = 1.5;  //shake lost per second
+let overviewId = null;  //animation frame of the end-of-run overview shot
+let endScreenTimer = null;
+
+// Width over height of each tower's share of the canvas
+function viewportAspect() {
+    return (window.innerWidth / towers.length) / window.innerHeight;
+}
+
+// Recomputes the active camera's orthographic frustum for its share of the canvas at the tower's zoom
+function updateCameraFrustum() {
+    const aspect = viewportAspect();
+    const width = viewWidth * activeTower.zoom;
+    const height = width / aspect;
+    camera.left = width / -2;
+    camera.right = width / 2;
+    camera.top = height / 2;
+    camera.bottom = height / -2;
+    camera.updateProjectionMatrix();
+}
+
+// Zoom at which every corner of the given layer views fits on screen (of the given shape) around focus
+function zoomToFit(views, focus, aspect = viewportAspect()) {
+    const corner = new THREE.Vector3();
+    let halfWidth = 0;
+    let halfHeight = 0;
+    views.forEach((view) => {
+        if (view.culled) return;
+        const { x, y, z } = view.threejs.position;
+        [-0.5, 0.5].forEach((dx) => [-0.5, 0.5].forEach((dy) => [-0.5, 0.5].forEach((dz) => {
+            corner.set(x + dx * view.width, y + dy * boxHeight, z + dz * view.depth).sub(focus);
+            halfWidth = Math.max(halfWidth, Math.abs(corner.dot(screenRight)));
+            halfHeight = Math.max(halfHeight, Math.abs(corner.dot(screenUp)));
+        })));
+    });
+    return viewMargin * Math.max(2 * halfWidth / viewWidth, 2 * halfHeight * aspect / viewWidth);
+}
+
+// Points the active tower's camera: following the climb (zoomed out just enough to keep the recent
+// layers in view) while playing, or easing out to the whole tower once the run is over
+function updateCamera(alpha, elapsed) {
+    const easing = reduceMotion ? 1 : 1 - Math.exp(-cameraEasing * elapsed);
+    let targetZoom;
+    if (activeTower.overview) {
+        activeTower.focus.lerp(activeTower.overview.focus, easing);
+        targetZoom = activeTower.overview.zoom;
+    } else {
+        const height = previousCameraHeight + (cameraHeight - previousCameraHeight) * alpha;
+        activeTower.focus.set(0, height - cameraStart.y, 0);
+        targetZoom = Math.max(1, zoomToFit(stack.slice(-recentLayers - 1, -1), activeTower.focus));
+    }
+    activeTower.zoom += (targetZoom - activeTower.zoom) * easing;
+
+    // Sliding the camera along its view doesn't change an orthographic picture, so back it off far
+    // enough that a tall tower doesn't end up behind it, and let it see that much further
+    const distance = cameraDistance + (activeTower.overview ? activeTower.overview.depth : 0);
+    camera.position.copy(activeTower.focus).addScaledVector(viewDirection, -distance);
+
+    // Shake sideways and up and down across the screen, dying away over time
+    if (activeTower.shake > 0) {
+        const amount = reduceMotion ? 0 : activeTower.shake * activeTower.shake * maxShake;
+        camera.position
+            .addScaledVector(screenRight, (Math.random() * 2 - 1) * amount)
+            .addScaledVector(screenUp, (Math.random() * 2 - 1) * amount);
+        activeTower.shake = Math.max(0, activeTower.shake - shakeDecay * elapsed);
+    }
+    camera.far = cameraFar + distance - cameraDistance;
+    updateCameraFrustum();
+}
+
+// Eases every camera out to show its whole tower, running until the run is reset
+function startTowerOverview() {
+    eachTower((tower) => {
+        const bounds = new THREE.Box3();
+        stack.forEach((view) => {
+            if (!view.culled) bounds.expandByObject(view.threejs);
+        });
+        const focus = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+        tower.overview = {
+            focus,
+            zoom: Math.max(tower.zoom, zoomToFit(stack, focus)),
+            depth: size.length(),
+        };
     });
+
+    pauseBtn.style.display = 'none';
+    let lastTime = null;
+    function overviewFrame(timestamp) {
+        const elapsed = lastTime === null ? 0 : Math.min(maxFrameDelta, (timestamp - lastTime) / 1000);
+        lastTime = timestamp;
+        updatePhysics(elapsed);  // Let the last overhangs finish falling
+        renderFrame(1, elapsed);
+        overviewId = requestAnimationFrame(overviewFrame);
+    }
+    if (overviewId !== null) cancelAnimationFrame(overviewId);
+    overviewId = requestAnimationFrame(overviewFrame);
 }
 
+// Shows the end screen once the overview has had time to play
+function showEndScreenAfterOverview(show) {
+    clearTimeout(endScreenTimer);
+    endScreenTimer = setTimeout(show, isSeeking ? 0 : overviewDuration);
+}
+
+function stopTowerOverview() {
+    if (overviewId !== null) {
+        cancelAnimationFrame(overviewId);
+        overviewId = null;
+    }
+    clearTimeout(endScreenTimer);
+    endScreenTimer = null;
+}
+
+// Fits the renderer and every camera to the new window size or orientation
+function onResize() {
+    if (!renderer) return; // Nothing to resize before the first game
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));  // Handle high-DPI displays
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    eachTower(updateCameraFrustum);
+    renderTowers(); // Redraw now in case the loop isn't running (paused or on the end screen)
+}
+
+window.addEventListener('resize', onResize);
+window.addEventListener('orientationchange', onResize);
+
 let isEndingTriggered = false;
 
-function animation() {
+function animation(timestamp) {
+    if (isPaused) {
+        animationId = null; // The loop is resumed by resumeGame()
+        return;
+    }
     if (isRestarting && gameSTART) {
         
         return;
     } else {
-        let speed = boxSpeed; 
+        const elapsed = lastFrameTime === null ? 0 : Math.min(maxFrameDelta, (timestamp - lastFrameTime) / 1000);
+        lastFrameTime = timestamp;
+
+        // Simulate as many whole game frames as real time has passed (replays can run faster than real time)
+        frameAccumulator += elapsed * (isReplaying ? replaySpeed : 1);
+        while (gameSTART && frameAccumulator >= gameFrameTime) {
+            stepFrame();
+            frameAccumulator -= gameFrameTime;
+        }
 
-        const topLayer = stack[stack.length - 1];
-        topLayer.threejs.position[topLayer.direction] += speed;
-        topLayer.cannonjs.position[topLayer.direction] += speed;
+        renderFrame(gameSTART ? frameAccumulator / gameFrameTime : 1, elapsed);
 
-        const position = topLayer.threejs.position[topLayer.direction];
-        if (Math.abs(position) > 10) {
-            stack.pop();
-            generateNewLayer(false); // Do not increment score when generating a new layer on a miss
+        // Keep looping unless the frame ended the game (e.g. the 50-box goal was reached)
+        if (gameSTART) {
+            animationId = requestAnimationFrame(animation);
         }
+    }
+}
 
-        if (camera.position.y < boxHeight * (stack.length - 2) + 4) {
-            camera.position.y += speed;
-        }
+// Forgets the previous frame time, so the next frame doesn't simulate the time spent paused or loading
+function resetClock() {
+    lastFrameTime = null;
+    frameAccumulator = 0;
+}
 
-       
-            // Stop the game after stacking 50 blocks
-        if (score === 50 && !isEndingTriggered) {
-            isEndingTriggered = true; // Prevent further triggers
-            showEndingImage(); // Show the ending image
-            playCongratulationsSound(); // Play the sound once
-        
-            setTimeout(() => {
-                let userchoice = confirm(
-                    "HURRAY! Zyck finally made it back to his home planet. Thank you, fellow player, for helping him stack 50 boxes! Press OK to go back to the main menu."
-                );
-                if (userchoice) {
-                    goToMainMenu();
-                }
-                else{
-                    restartGame();
-                    isEndingTriggered = false;
-                    isRestarting = true;
-                }
-            }, 500); // Optional: Adjust the delay for better visuals
-        }
-        
-        updatePhysics();
+// Advances the game by one frame: every tower, then the physics they share
+function stepFrame() {
+    eachTower(() => {
+        if (!game.isOver) stepTower();
+    });
+
+    updatePhysics(gameFrameTime);  // One game frame is one physics step
+    if (currentRun.wobble) {
+        eachTower(() => {
+            if (!game.isOver) updateWobble();
+        });
+        if (!isVersus()) updateStabilityMeter(); // Every frame, to follow the sway
+    }
+    updateJourney();
+    if (isVersus()) checkVersusOutcome();
+}
+
+// Advances the active tower by one frame: replayed drops, box movement and camera climb
+function stepTower() {
+    // Remember where things were so rendering can blend towards where they end up
+    const top = game.stack[game.stack.length - 1];
+    previousTop = { layer: top, x: top.x, z: top.z };
+    previousCameraHeight = cameraHeight;
+
+    // Feed back every drop that was recorded on this frame
+    while (isReplaying && replayCursor < currentRun.inputs.length && currentRun.inputs[replayCursor] === game.frameIndex) {
+        replayCursor++;
+        game.drop();
+        if (!gameSTART) return;
+    }
+
+    game.step();
+    syncLayer(stack[stack.length - 1], game.stack[game.stack.length - 1]);
+
+    if (cameraHeight < boxHeight * (stack.length - 2) + 4) {
+        cameraHeight += game.boxSpeed;
+    }
+}
+
+// Places the moving layer, camera and falling overhangs alpha (0-1) of the way from the previous game frame to the latest
+function interpolateScene(alpha) {
+    const top = game.stack[game.stack.length - 1];
+    if (previousTop && previousTop.layer === top) {
+        const view = stack[stack.length - 1];
+        view.threejs.position.x = previousTop.x + (top.x - previousTop.x) * alpha;
+        view.threejs.position.z = previousTop.z + (top.z - previousTop.z) * alpha;
+    }
+
+    const quaternion = new THREE.Quaternion();
+    overhangs.concat(wobblingLayers()).forEach((view) => {
+        const body = view.cannonjs;
+        if (body.sleepState === CANNON.Body.SLEEPING) return; // Not moving, nothing to sync
+        view.threejs.position.lerpVectors(view.previousPosition, body.position, alpha);
+        view.threejs.quaternion.slerpQuaternions(view.previousQuaternion, quaternion.copy(body.quaternion), alpha);
+    });
+}
+
+// Draws the scene alpha of the way into the current game frame; elapsed is the real time since the last render
+function renderFrame(alpha, elapsed) {
+    eachTower(() => {
+        interpolateScene(alpha);
+        updateCamera(alpha, elapsed);
+    });
+    updatePulses(elapsed);
+    renderTowers();
+    if (isDebug) updateDebugReadout();
+    if (isReplaying) replayScrubber.value = game.frameIndex;
+}
+
+// Draws each tower's camera into its own side of the canvas (a single tower fills all of it)
+function renderTowers() {
+    const width = window.innerWidth / towers.length;
+    const height = window.innerHeight;
+    renderer.setScissorTest(isVersus());
+    eachTower((tower, index) => {
+        renderer.setViewport(index * width, 0, width, height);
+        renderer.setScissor(index * width, 0, width, height);
         renderer.render(scene, camera);
+    });
+}
 
+// Celebrates every milestoneInterval layers in Endless mode without ending the run
+function showMilestone(score) {
+    if (!isSeeking) audio.playSfx('milestone');
+    addPulse(stack[stack.length - 2]); // The layer that was just placed (the moving one is on top)
 
-        animationId = requestAnimationFrame(animation);
+    const banner = document.getElementById('milestone-banner');
+    banner.innerText = score === winScore ? "MARS REACHED! KEEP GOING!" : `${score} LAYERS!`;
+    banner.classList.remove('show');
+    void banner.offsetWidth; // Restart the CSS animation
+    banner.classList.add('show');
+}
+
+// Celebrates stacking all 50 boxes
+function showVictory() {
+    if (game.mode === 'campaign') {
+        showLevelComplete();
+        return;
+    }
+    if (game.mode === 'daily') {
+        isEndingTriggered = true;
+        playCongratulationsSound();
+        finishRun("TOWER COMPLETE!", "You stacked today's Daily Tower all the way up!");
+        return;
     }
+    isEndingTriggered = true; // Prevent further triggers
+    runEndTime = performance.now();
+    showEndingImage(); // Show the ending image
+    playCongratulationsSound(); // Play the sound once
+    startTowerOverview();
+    showEndScreenAfterOverview(() => showEndScreen(
+        "HURRAY!",
+        "Zyck finally made it back to his home planet. Thank you, fellow player, for helping him stack 50 boxes!"
+    ));
 }
 
-function gameOver() {
+function gameOver(reason = 'miss') {
     if (!gameSTART) {
         console.warn("gameOver() called, but gameSTART is false. Ignoring.");
         return;
     }
 
-    console.log("Game Over!");
+    console.log(`Game Over! (${reason})`);
+    finishRun("GAME OVER", gameOverReasons[reason]);
+}
 
+// Stops the run, plays the tower overview and then shows the end screen
+function finishRun(title, message) {
     // Stop the animation
     if (animationId !== null) {
         cancelAnimationFrame(animationId);
@@ -326,15 +1137,512 @@ function gameOver() {
     }
     // Reset the game state
     gameSTART = false;
+    runEndTime = performance.now();
 
-    const userChoice = confirm("Game Over! Do you want to go back to the main menu? (Press 'Cancel' to restart the game)");
-    if (userChoice) {
-        goToMainMenu();
-    } else {
-        restartGame();
+    startTowerOverview();
+    showEndScreenAfterOverview(() => showEndScreen(title, message));
+}
+
+// Ends a beaten campaign level: rates it, saves the stars and offers the next level
+function showLevelComplete() {
+    if (animationId !== null) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+    gameSTART = false;
+    isEndingTriggered = true;
+    runEndTime = performance.now();
+    playCongratulationsSound();
+
+    const stars = starRating(game.level, game.points);
+    if (!isReplaying) saveLevelStars(game.level.id, stars);
+    const next = campaignLevels[campaignLevels.indexOf(game.level) + 1];
+
+    startTowerOverview();
+    showEndScreenAfterOverview(() => {
+        showEndScreen("LEVEL COMPLETE!", `${game.level.name} ${starText(stars)}`
+            + (next && !isReplaying ? `\nNext up: ${next.name}` : ''));
+        nextLevelBtn.style.display = next && !isReplaying ? 'inline-block' : 'none';
+        focusFirstButton(endScreen);
+    });
+}
+
+//VERSUS:
+const versusScores = [document.getElementById('versus-score-1'), document.getElementById('versus-score-2')];
+
+// Decides a versus match. A player who reaches the goal first wins. When a tower falls, the other player
+// keeps going until they outscore it or fall too; if both have fallen the higher score wins (which also
+// settles towers falling on the same frame). Returns null while undecided, otherwise { winner } with the
+// winning tower, or null for a draw.
+function versusOutcome() {
+    const finished = towers.filter((tower) => tower.game.overReason === 'won');
+    if (finished.length > 0) {
+        return { winner: finished.length === 1 ? finished[0] : null };
+    }
+
+    const fallen = towers.filter((tower) => tower.game.isOver);
+    if (fallen.length === 0) return null;
+
+    const bestFallen = Math.max(...fallen.map((tower) => tower.game.score));
+    const playing = towers.filter((tower) => !tower.game.isOver);
+    if (playing.length > 0) {
+        const leader = playing.find((tower) => tower.game.score > bestFallen);
+        return leader ? { winner: leader } : null;
+    }
+
+    const best = fallen.filter((tower) => tower.game.score === bestFallen);
+    return { winner: best.length === 1 ? best[0] : null };
+}
+
+// Ends the match once versusOutcome() has a result
+function checkVersusOutcome() {
+    if (!gameSTART) return;
+    const outcome = versusOutcome();
+    if (!outcome) return;
+
+    if (animationId !== null) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+    gameSTART = false;
+    startTowerOverview();
+    showEndScreenAfterOverview(() => showVersusEndScreen(outcome.winner));
+}
+
+function playerName(tower) {
+    return `Player ${tower.player + 1}`;
+}
+
+// Explains how the match was decided, e.g. "Player 2 fell at 12 and Player 1 stacked past it."
+function versusMessage(winner) {
+    const [first, second] = towers.map((tower) => tower.game);
+    if (winner && winner.game.overReason === 'won') {
+        return `${playerName(winner)} stacked ${winScore} boxes first and brought Zyck home!`;
+    }
+    if (!winner && first.overReason === 'won') {
+        return `Both players stacked ${winScore} boxes at the same moment!`;
+    }
+    if (winner && !winner.game.isOver) {
+        const loser = towers.find((tower) => tower !== winner);
+        return `${playerName(loser)}'s tower fell at ${loser.game.score} and ${playerName(winner)} stacked past it.`;
+    }
+
+    const together = first.frameIndex === second.frameIndex ? "Both towers fell at the same moment" : "Both towers fell";
+    return winner ? `${together}, but ${playerName(winner)} stacked higher.` : `${together} on the same score.`;
+}
+
+// Shows the end screen with both players' scores instead of the single-player stats and leaderboard
+function showVersusEndScreen(winner) {
+    isGameOver = true;
+    audio.playMusic('victory');
+
+    document.getElementById('end-title').innerText = winner ? `${playerName(winner).toUpperCase()} WINS!` : "IT'S A DRAW!";
+    document.getElementById('end-message').innerText = versusMessage(winner);
+    towers.forEach((tower) => {
+        document.getElementById(`end-versus-score-${tower.player + 1}`).innerText = tower.game.score;
+    });
+
+    endScreen.classList.add('versus');
+    pauseBtn.style.display = 'none';
+    endScreen.style.display = 'flex';
+    focusFirstButton(endScreen);
+    announce(`${document.getElementById('end-title').innerText} ${versusMessage(winner)}`);
+}
+
+//END SCREEN:
+const endScreen = document.getElementById('end-screen');
+let isGameOver = false;  //true while the game over / victory screen is showing
+let runStartTime = 0;  //performance.now() when the current run started (shifted forward by pauses)
+let pauseStartTime = 0;  //performance.now() when the game was last paused
+let runEndTime = 0;  //performance.now() when the current run ended
+
+// Formats a duration in milliseconds as m:ss
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Shows the end-of-run overlay with the final stats of the run
+function showEndScreen(title, message) {
+    isGameOver = true;
+    currentRun.frames = game.frameIndex;
+    currentRun.score = game.score;
+    currentRun.points = game.points;
+    // Replays don't count as new runs, and campaign levels keep their own stars instead
+    // Endless runs have no target, they earn the star for getting as far as Classic's goal
+    const reachedGoal = game.overReason === 'won' || (game.mode === 'endless' && game.score >= winScore);
+    const entry = isReplaying || game.level ? null : recordHighScore(reachedGoal);
+    if (game.mode === 'daily') message += `\n${scoreDailyRun()}`;
+    const bestPoints = Math.max(game.points, ...loadHighScores().map((run) => run.points || 0));
+
+    document.getElementById('end-title').innerText = title;
+    document.getElementById('end-message').innerText = message;
+    document.getElementById('end-score').innerText = game.mode === 'endless' ? game.score : `${game.score} / ${game.target}`;
+    document.getElementById('end-points').innerText = game.points;
+    document.getElementById('end-best').innerText = bestPoints;
+    const { accuracy, combo, speed } = game.breakdown;
+    document.getElementById('end-breakdown').innerText = `Accuracy ${accuracy} + Combo bonus ${combo}`
+        + ` + Speed bonus ${speed} · Best combo ${game.bestCombo}`;
+    document.getElementById('end-perfects').innerText = game.perfectCount;
+    document.getElementById('end-time').innerText = formatTime(runEndTime - runStartTime);
+
+    renderHighScores(document.getElementById('end-high-scores'), entry);
+
+    endScreen.classList.remove('versus');
+    pauseBtn.style.display = 'none';
+    endScreen.style.display = 'flex';
+    focusFirstButton(endScreen);
+    announce(`${title}. ${message} ${game.score} layers, ${game.points} points.`);
+}
+
+//REPLAYS:
+const replayControls = document.getElementById('replay-controls');
+const replayScrubber = document.getElementById('replay-scrubber');
+const replayFileInput = document.getElementById('replay-file');
+let isReplaying = false;  //true while a loaded run is driving the game instead of the player
+let replayRun = null;  //the loaded run being played back
+let replayCursor = 0;  //index of the next recorded drop to feed back
+let replaySpeed = 1;  //game frames simulated per rendered frame (1x/2x/4x)
+let isSeeking = false;  //true while fast-forwarding to a scrubber position (sounds are muted)
+let difficultyBeforeReplay = difficulty;  //menu selections to restore once the replay is closed
+let gameModeBeforeReplay = gameMode;
+let wobbleBeforeReplay = wobble;
+
+// Downloads the current run as a JSON replay file
+function exportRun() {
+    const blob = new Blob([JSON.stringify(currentRun)], { type: 'application/json' });
+    downloadBlob(blob, `above-and-beyond-run-${currentRun.seed}.json`);
+}
+
+//TOWER SNAPSHOTS:
+const snapshotWidth = 1200;  //size of the PNG in pixels (portrait, as towers are tall)
+const snapshotHeight = 1600;
+
+// Builds a scene with just the active tower's placed layers, rebuilt from the game so that layers culled
+// from long runs are included too. Planets and the sky are left out.
+function buildTowerScene() {
+    const towerScene = new THREE.Scene();
+    const views = [];
+    // The top layer is still moving (or missed the stack), unless the run ended on a box cut too small
+    const placed = game.overReason === 'tooSmall' ? game.stack : game.stack.slice(0, -1);
+    placed.forEach((layer, index) => {
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(layer.width, boxHeight, layer.depth),
+            new THREE.MeshLambertMaterial({ color: layerColor(index) })
+        );
+        mesh.name = `Layer ${index}`;
+        mesh.position.set(layer.x, layer.y, layer.z);
+        const view = { threejs: mesh, width: layer.width, depth: layer.depth };
+        if (layer.special) applySpecialLook(view, layer.special);
+        towerScene.add(mesh);
+        views.push(view);
+    });
+    return { towerScene, views };
+}
+
+function disposeTowerScene(towerScene) {
+    towerScene.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+}
+
+// File name for the active tower's snapshot (both players get their own in versus)
+function snapshotName() {
+    return `above-and-beyond-tower-${currentRun.seed}` + (isVersus() ? `-p${activeTower.player + 1}` : '');
+}
+
+// Downloads a PNG of each tower, framed around the whole stack on a transparent background
+function downloadTowerImage() {
+    eachTower(() => {
+        const { towerScene, views } = buildTowerScene();
+        const bounds = new THREE.Box3().setFromObject(towerScene);
+        const focus = bounds.getCenter(new THREE.Vector3());
+
+        // Same view direction and lighting as the game
+        const aspect = snapshotWidth / snapshotHeight;
+        const width = viewWidth * zoomToFit(views, focus, aspect);
+        const height = width / aspect;
+        const distance = cameraDistance + bounds.getSize(new THREE.Vector3()).length();
+        const snapshotCamera = new THREE.OrthographicCamera(width / -2, width / 2, height / 2, height / -2, 1, distance * 2);
+        snapshotCamera.position.copy(focus).addScaledVector(viewDirection, -distance);
+        snapshotCamera.lookAt(focus);
+
+        towerScene.add(new THREE.AmbientLight(0xffffff, tuning.ambientLight));
+        const sunlight = new THREE.DirectionalLight(0xffffff, tuning.directionalLight);
+        sunlight.position.set(10, 20, 0);
+        towerScene.add(sunlight);
+
+        // A renderer of its own, so the game's canvas keeps its size and contents
+        const snapshotRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        snapshotRenderer.setSize(snapshotWidth, snapshotHeight, false);
+        snapshotRenderer.render(towerScene, snapshotCamera);
+
+        const filename = `${snapshotName()}.png`;
+        snapshotRenderer.domElement.toBlob((blob) => {
+            downloadBlob(blob, filename);
+            snapshotRenderer.dispose();
+            snapshotRenderer.forceContextLoss();
+            disposeTowerScene(towerScene);
+        }, 'image/png');
+    });
+}
+
+// Downloads each tower's layers, with their colours, as a binary glTF (.glb) model
+function downloadTowerModel() {
+    eachTower(() => {
+        const { towerScene } = buildTowerScene();
+        const filename = `${snapshotName()}.glb`;
+        new GLTFExporter().parse(towerScene, (glb) => {
+            downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), filename);
+            disposeTowerScene(towerScene);
+        }, (error) => {
+            console.error("Error exporting the tower:", error);
+            disposeTowerScene(towerScene);
+        }, { binary: true });
+    });
+}
+
+// Checks that a parsed file looks like something exportRun() wrote
+function isValidRun(run) {
+    return Boolean(run)
+        && Number.isInteger(run.seed)
+        && run.difficulty in difficultyPresets
+        && (run.mode === undefined || run.mode in gameModes)
+        && (run.mode !== 'campaign' || levelById(run.level) !== null)
+        && (run.mode !== 'daily' || isDayKey(run.day))
+        && (run.wobble === undefined || typeof run.wobble === 'boolean')
+        && Array.isArray(run.inputs)
+        && run.inputs.every(Number.isInteger);
+}
+
+function startReplay(run) {
+    isReplaying = true;
+    replayRun = run;
+    replaySpeed = 1;
+    difficultyBeforeReplay = difficulty;
+    gameModeBeforeReplay = gameMode;
+    wobbleBeforeReplay = wobble;
+    selectDifficulty(run.difficulty);
+    selectGameMode(run.mode || 'classic'); // Runs recorded before Endless mode existed are Classic
+    selectWobble(Boolean(run.wobble));
+    campaignLevel = levelById(run.level);
+    dailyDay = run.mode === 'daily' ? run.day : null;
+    updateModeLabel();
+
+    // Without a recorded length, stop the scrubber a few seconds after the last drop
+    const lastInput = run.inputs.length > 0 ? run.inputs[run.inputs.length - 1] : 0;
+    replayScrubber.max = run.frames || lastInput + 300;
+    replayScrubber.value = 0;
+    updateReplaySpeedButtons();
+    replayControls.style.display = 'flex';
+
+    leaveMainMenu();
+    startGame();
+}
+
+function stopReplay() {
+    if (!isReplaying) return;
+    isReplaying = false;
+    replayRun = null;
+    replayControls.style.display = 'none';
+    selectDifficulty(difficultyBeforeReplay);
+    selectGameMode(gameModeBeforeReplay);
+    selectWobble(wobbleBeforeReplay);
+    campaignLevel = null;
+    dailyDay = null;
+}
+
+// Jumps the replay to the given frame by re-simulating the run from the start
+function seekReplay(targetFrame) {
+    isSeeking = true;
+    resetGame();
+    isRestarting = false;
+    restartFlag = false;
+    beginRun();
+    init();
+    gameSTART = true;
+    runStartTime = performance.now();
+
+    while (gameSTART && game.frameIndex < targetFrame) {
+        stepFrame();
+    }
+    isSeeking = false;
+
+    renderFrame(1, 0);
+
+    if (gameSTART) {
+        pauseBtn.style.display = 'block';
+        animationId = requestAnimationFrame(animation);
+    }
+}
+
+function updateReplaySpeedButtons() {
+    document.querySelectorAll('.replay-speed-btn').forEach((button) => {
+        button.classList.toggle('selected', Number(button.dataset.speed) === replaySpeed);
+    });
+}
+
+document.querySelectorAll('.replay-speed-btn').forEach((button) => {
+    button.addEventListener('click', () => {
+        replaySpeed = Number(button.dataset.speed);
+        updateReplaySpeedButtons();
+    });
+});
+
+replayScrubber.addEventListener('change', () => {
+    seekReplay(Number(replayScrubber.value));
+});
+
+document.getElementById('replay-exit-btn').addEventListener('click', () => {
+    goToMainMenu();
+});
+
+document.getElementById('load-replay-btn').addEventListener('click', () => {
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow loading the same file again
+    if (!file) return;
+
+    const replayError = document.getElementById('replay-error');
+    file.text().then((text) => {
+        const run = JSON.parse(text);
+        if (!isValidRun(run)) throw new Error("Not a replay file");
+        replayError.innerText = '';
+        startReplay(run);
+    }).catch((error) => {
+        console.error("Error loading replay:", error);
+        replayError.innerText = "That file isn't a valid replay.";
+    });
+});
+
+//HIGH SCORES:
+const highScoresKey = 'aboveAndBeyond.highScores';
+const playerNameKey = 'aboveAndBeyond.playerName';
+const maxHighScores = 10;  //how many runs the leaderboard keeps
+const playerNameInput = document.getElementById('player-name');
+const highScoresModal = document.getElementById('high-scores-modal');
+
+// Reads the saved leaderboard, best run first
+function loadHighScores() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(highScoresKey));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error("Error reading high scores:", error);
+        return [];
+    }
+}
+
+function saveHighScores(highScores) {
+    try {
+        localStorage.setItem(highScoresKey, JSON.stringify(highScores));
+    } catch (error) {
+        console.error("Error saving high scores:", error);
     }
 }
 
+// Adds the finished run to the leaderboard; returns the saved entry, or null if it didn't make the top runs
+function recordHighScore(reachedGoal) {
+    if (game.score === 0) return null;
+
+    const entry = {
+        name: playerNameInput.value.trim() || 'Player',
+        points: game.points,
+        score: game.score,
+        date: new Date().toISOString(),
+        difficulty: game.difficulty,
+        mode: game.mode,
+        reachedGoal,
+    };
+
+    const highScores = [...loadHighScores(), entry]
+        .sort((a, b) => (b.points || 0) - (a.points || 0)) // Runs saved before points existed go last
+        .slice(0, maxHighScores);
+    saveHighScores(highScores);
+
+    return highScores.includes(entry) ? entry : null;
+}
+
+// Fills a <tbody> with the leaderboard, highlighting the given entry if it's in there
+function renderHighScores(tableBody, highlightEntry = null) {
+    const highScores = loadHighScores();
+    tableBody.innerHTML = '';
+
+    if (highScores.length === 0) {
+        const row = tableBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'No scores yet';
+        return;
+    }
+
+    highScores.forEach((run, index) => {
+        const row = tableBody.insertRow();
+        const isHighlighted = highlightEntry
+            && run.date === highlightEntry.date && run.points === highlightEntry.points;
+        if (isHighlighted) row.classList.add('highlight');
+
+        [
+            index + 1,
+            run.name,
+            run.points === undefined ? '-' : run.points,
+            run.reachedGoal ? `${run.score} ★` : run.score,
+            (difficultyPresets[run.difficulty] ? difficultyPresets[run.difficulty].label : run.difficulty)
+                + (run.mode === 'endless' ? ' ∞' : ''),
+            new Date(run.date).toLocaleDateString(),
+        ].forEach((value) => {
+            row.insertCell().textContent = value; // textContent so player names are never parsed as HTML
+        });
+    });
+}
+
+// Remember the player's name between visits
+playerNameInput.value = localStorage.getItem(playerNameKey) || '';
+playerNameInput.addEventListener('change', () => {
+    localStorage.setItem(playerNameKey, playerNameInput.value.trim());
+});
+playerNameInput.addEventListener('keydown', (event) => event.stopPropagation()); // Typing a space shouldn't drop a box
+
+document.getElementById('high-scores-btn').addEventListener('click', () => {
+    renderHighScores(document.getElementById('menu-high-scores'));
+    openModal(highScoresModal);
+});
+
+document.getElementById('close-high-scores-btn').addEventListener('click', () => {
+    closeModal(highScoresModal);
+});
+
+document.getElementById('clear-high-scores-btn').addEventListener('click', () => {
+    saveHighScores([]);
+    renderHighScores(document.getElementById('menu-high-scores'));
+});
+
+document.getElementById('end-restart-btn').addEventListener('click', () => {
+    restartGame();
+});
+
+document.getElementById('end-menu-btn').addEventListener('click', () => {
+    goToMainMenu();
+});
+
+document.getElementById('end-export-btn').addEventListener('click', () => {
+    exportRun();
+});
+
+document.getElementById('end-image-btn').addEventListener('click', () => {
+    downloadTowerImage();
+});
+
+document.getElementById('end-model-btn').addEventListener('click', () => {
+    downloadTowerModel();
+});
+
 function showEndingImage() {
     const endingImage = document.getElementById('ending-image');
 
@@ -368,20 +1676,43 @@ function showEndingImage() {
         // Apply the transformation to shake the image
         endingImage.style.transform = `translate(-50%, -50%) translate(${offsetX}px, ${offsetY}px)`; 
 
-        // Continue animation
-        if (!gameSTART) {
+        // Continue animation until the game restarts or the image is hidden
+        if (!gameSTART && endingImage.style.display !== 'none') {
             requestAnimationFrame(animateImage);
         }
     }
 
-    // Start the shake animation
-    animateImage();
+    // Start the shake animation (the image just stays put with reduced motion)
+    if (!reduceMotion) animateImage();
 
 }
 // Function to handle going back to the main menu
 function goToMainMenu() {
     console.log("Returning to the main menu...");
-    window.location.reload();
+    resetGame();
+    isRestarting = false;
+    restartFlag = false;
+    stopReplay();
+    campaignLevel = null;
+    dailyDay = null;
+    updateModeLabel();
+    renderDailyButton();
+
+    document.getElementById('game-container').style.display = 'none';
+    document.getElementById('score').style.display = 'none';
+    pointsElement.style.display = 'none';
+    document.getElementById('versus-scores').style.display = 'none';
+    stabilityMeter.style.display = 'none';
+    difficultyLabel.style.display = 'none';
+    pauseBtn.style.display = 'none';
+
+    document.getElementById('main-menu').style.display = 'flex';
+    stars.style.display = 'block';
+    infoIcon.style.display = 'inline-block';
+    startBtn.style.display = 'inline-block';
+    volumeBtn.style.display = 'inline-block';
+
+    audio.playMusic('menu');
 }
 
 function updateButtonVisibility() {
@@ -406,12 +1737,33 @@ function restartGame() {
     isRestarting = true;
     restartFlag = true;
 
+    resetGame();
+
+    // Reinitialize game state
+    beginRun();
+    init();
+
+    // Restart the animation loop after a brief delay
+    setTimeout(() => {
+        isRestarting = false;
+        restartFlag = false;
+        gameSTART = true; // Set gameSTART to true to begin the game immediately
+        runStartTime = performance.now();
+        pauseBtn.style.display = 'block';
+        animationId = requestAnimationFrame(animation); // Start the animation loop
+        console.log("Game Restarted Successfully");
+    }, 500);
+}
+
+// Tears down the current run: stops the loop, clears the scene and physics world and resets the game state
+function resetGame() {
     // Stop the animation loop completely
     if (animationId !== null) {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
     renderer.setAnimationLoop(null);
+    stopTowerOverview();
     const endingImage = document.getElementById('ending-image');
         if (endingImage) {
             endingImage.style.display = 'none'; // Make the image visible
@@ -420,12 +1772,15 @@ function restartGame() {
     console.log("Resetting game state and Three.js objects...");
     // Reset game variables and state
     stack = [];
-    score = 0;
-    updateScore();
     overhangs = [];
+    pulses = [];
     gameSTART = false;
-    boxSpeed = initialBoxSpeed;
+    if (isPaused) audio.resume(); // Restarting or quitting from the pause menu
     isPaused = false;
+    pauseMenu.style.display = 'none';
+    isGameOver = false;
+    isEndingTriggered = false;
+    endScreen.style.display = 'none';
 
    while (scene.children.length > 0) {
     const child = scene.children[0];
@@ -447,71 +1802,330 @@ function restartGame() {
     // Reset camera position
     camera.position.set(4, 4, 4);
     camera.lookAt(0, 0, 0);
+}
 
-    // Reinitialize game state
-    init();
+// Creates the game for a new run: picks a fresh seed and starts recording, or rewinds the loaded replay
+function beginRun() {
+    replayCursor = 0;
+    document.activeElement.blur(); // The button that started the run is hidden now, Space and Enter should drop boxes
+    isScoredDailyRun = false;
 
-    // Restart the animation loop after a brief delay
-    setTimeout(() => {
-        isRestarting = false;
-        restartFlag = false;
-        gameSTART = true; // Set gameSTART to true to begin the game immediately
-        animationId = requestAnimationFrame(animation); // Start the animation loop
-        console.log("Game Restarted Successfully");
-    }, 500);
+    if (isReplaying) {
+        currentRun = replayRun;
+    } else {
+        currentRun = {
+            version: 1,
+            seed: Math.floor(Math.random() * 4294967296),
+            inputs: [],  //frame index of every drop
+        };
+        if (campaignLevel) {
+            // Campaign levels set their own rules and are played alone
+            Object.assign(currentRun, { difficulty: campaignLevel.difficulty, mode: 'campaign', level: campaignLevel.id, wobble: false });
+        } else if (dailyDay) {
+            // So is the Daily Tower, and its seed comes from the date so everyone gets the same run
+            const level = createDailyLevel(dailyDay);
+            Object.assign(currentRun, { seed: dailySeed(dailyDay), difficulty: level.difficulty, mode: 'daily', day: dailyDay, wobble: false });
+            isScoredDailyRun = startDailyAttempt(dailyDay);
+            renderDailyButton();
+        } else {
+            Object.assign(currentRun, { difficulty, mode: gameMode, wobble });
+        }
+    }
+
+    resetClock();
+
+    // Versus towers share the seed, so both players get the same sequence of blocks (replays are single player)
+    const players = isReplaying || campaignLevel || dailyDay ? 1 : playerCount;
+    activeTower = null;
+    towers = [];
+    for (let player = 0; player < players; player++) {
+        const towerGame = createGame({
+            difficulty: currentRun.difficulty,
+            mode: currentRun.mode || 'classic',
+            seed: currentRun.seed,
+            wobble: Boolean(currentRun.wobble),
+            level: currentRun.mode === 'daily' ? createDailyLevel(currentRun.day) : levelById(currentRun.level),
+        });
+        towers.push(createTower(player, towerGame));
+    }
+
+    const versus = isVersus();
+    document.getElementById('score').style.display = versus ? 'none' : 'block';
+    pointsElement.style.display = versus ? 'none' : 'block';
+    document.getElementById('versus-scores').style.display = versus ? 'flex' : 'none';
+    stabilityMeter.style.display = currentRun.wobble && !versus ? 'block' : 'none';
+    versusScores.forEach((element) => element.classList.remove('fallen'));
+    document.getElementById('end-export-btn').style.display = versus ? 'none' : 'inline-block'; // Versus runs aren't recorded
+    nextLevelBtn.style.display = 'none';
+    shareBtn.style.display = 'none';
+    placementAccuracies = [];
+
+    eachTower(updateScore);
+    audio.playMusic('game');
 }
 
 //BUTTONS: 
 document.getElementById('score').style.display = 'none'; // Hide the score initially
+const pointsElement = document.getElementById('points');
+const stabilityMeter = document.getElementById('stability');
+const stabilityFill = document.getElementById('stability-fill');
 
 
-// Function to update the score
+// Function to update the score (of the active tower's player in versus)
 function updateScore() {
-    const scoreElement = document.getElementById('score');
+    const scoreElement = isVersus() ? versusScores[activeTower.player] : document.getElementById('score');
     if (scoreElement.style.display !== 'none') {
-        scoreElement.innerText = `${score} / 50`; // Update the score text
+        // Update the score text (Endless has no target to count towards)
+        const score = (game.mode === 'endless' ? `${game.score}` : `${game.score} / ${game.target}`)
+            + (game.shields > 0 ? ' 🛡' : '')
+            + (game.slowMotionLeft > 0 ? ' ⏳' : '');
+        scoreElement.innerText = isVersus() ? `P${activeTower.player + 1}: ${score}` : score;
     }
-    playSoundEffect(score) 
+    // Points (and the combo building them up) are shown apart from the progress toward the goal
+    pointsElement.innerText = `${game.points} PTS` + (game.combo > 1 ? ` · COMBO ${game.combo}` : '');
+    if (game.wobble && !isVersus()) updateStabilityMeter();
+    playSoundEffect(game.score) 
+}
+
+//difficulty
+const difficultyButtons = document.querySelectorAll('.difficulty-btn');
+const difficultyLabel = document.getElementById('difficulty-label');
+
+function selectDifficulty(key) {
+    difficulty = key;
+    difficultyButtons.forEach((button) => {
+        button.classList.toggle('selected', button.dataset.difficulty === key);
+    });
+    updateModeLabel();
 }
 
+// Shows the difficulty (and Endless, when picked) next to the score
+function updateModeLabel() {
+    if (campaignLevel) {
+        difficultyLabel.innerText = `${gameModes.campaign.label} · ${campaignLevel.name}`;
+        return;
+    }
+    if (dailyDay) {
+        difficultyLabel.innerText = `${gameModes.daily.label} · ${dailyDay}`;
+        return;
+    }
+    difficultyLabel.innerText = difficultyPresets[difficulty].label
+        + (gameMode === 'endless' ? ` · ${gameModes.endless.label}` : '')
+        + (wobble ? ' · Wobble' : '')
+        + (playerCount > 1 && !isReplaying ? ' · Versus' : '');
+}
+
+difficultyButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+        selectDifficulty(button.dataset.difficulty);
+    });
+});
+
+selectDifficulty(difficulty);
+
+//mode
+const modeButtons = document.querySelectorAll('.mode-btn');
+
+function selectGameMode(key) {
+    gameMode = key;
+    modeButtons.forEach((button) => {
+        button.classList.toggle('selected', button.dataset.mode === key);
+    });
+    updateModeLabel();
+}
+
+modeButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+        selectGameMode(button.dataset.mode);
+    });
+});
+
+selectGameMode(gameMode);
+
+//wobble
+const wobbleButton = document.getElementById('wobble-btn');
+
+function selectWobble(on) {
+    wobble = on;
+    wobbleButton.classList.toggle('selected', on);
+    wobbleButton.innerText = on ? 'WOBBLE: ON' : 'WOBBLE: OFF';
+    updateModeLabel();
+}
+
+wobbleButton.addEventListener('click', () => {
+    selectWobble(!wobble);
+});
+
+selectWobble(wobble);
+
+//players
+const playersButtons = document.querySelectorAll('.players-btn');
+
+function selectPlayerCount(count) {
+    playerCount = count;
+    playersButtons.forEach((button) => {
+        button.classList.toggle('selected', Number(button.dataset.players) === count);
+    });
+    updateModeLabel();
+}
+
+playersButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+        selectPlayerCount(Number(button.dataset.players));
+    });
+});
+
+selectPlayerCount(playerCount);
+
+//campaign
+const campaignModal = document.getElementById('campaign-modal');
+const campaignLevelList = document.getElementById('campaign-levels');
+const nextLevelBtn = document.getElementById('end-next-level-btn');
+
+function starText(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+// Lists every level with its best rating; locked levels can't be picked yet
+function renderCampaignLevels() {
+    const progress = loadCampaignProgress();
+    campaignLevelList.innerHTML = '';
+    campaignLevels.forEach((level, index) => {
+        const unlocked = isLevelUnlocked(index, progress);
+        const button = document.createElement('button');
+        button.className = 'button level-btn';
+        button.disabled = !unlocked;
+
+        const name = document.createElement('span');
+        name.className = 'level-name';
+        name.innerText = `${index + 1}. ${level.name}`;
+        const stars = document.createElement('span');
+        stars.className = 'level-stars';
+        stars.innerText = unlocked ? starText(progress[level.id] || 0) : 'LOCKED';
+        const description = document.createElement('span');
+        description.className = 'level-description';
+        description.innerText = `${level.description} Stack ${level.target}.`;
+        button.append(name, stars, description);
+
+        button.addEventListener('click', () => {
+            closeModal(campaignModal);
+            campaignLevel = level;
+            updateModeLabel();
+            leaveMainMenu();
+            startGame();
+        });
+        campaignLevelList.appendChild(button);
+    });
+}
+
+document.getElementById('campaign-btn').addEventListener('click', () => {
+    renderCampaignLevels();
+    openModal(campaignModal);
+});
+
+document.getElementById('close-campaign-btn').addEventListener('click', () => {
+    closeModal(campaignModal);
+});
+
+nextLevelBtn.addEventListener('click', () => {
+    campaignLevel = campaignLevels[campaignLevels.indexOf(campaignLevel) + 1];
+    updateModeLabel();
+    restartGame();
+});
+
+//daily
+const dailyBtn = document.getElementById('daily-btn');
+const shareBtn = document.getElementById('end-share-btn');
+
+// Shows whether today's Daily Tower has been played, and the streak
+function renderDailyButton() {
+    const state = loadDailyState();
+    const streak = currentStreak(state);
+    dailyBtn.innerText = 'DAILY TOWER' + (state.results[dayKey()] ? ' ✓' : '') + (streak > 0 ? ` · 🔥${streak}` : '');
+}
+
+// Fills in the day's scored attempt (reserved when it started, see beginRun(); later runs are practice)
+// and says how it went
+function scoreDailyRun() {
+    const day = currentRun.day;
+    const wasScored = isScoredDailyRun;
+    const state = isScoredDailyRun ? recordDailyResult(day, {
+        score: game.score,
+        points: game.points,
+        accuracies: placementAccuracies,
+        fell: game.overReason !== 'won',
+    }) : loadDailyState();
+    isScoredDailyRun = false;
+    const result = state.results[day];
+    shareBtn.innerText = 'COPY RESULT';
+    shareBtn.style.display = result ? 'inline-block' : 'none';
+
+    if (isReplaying) return `Replay of the Daily Tower for ${day}.`;
+    if (!wasScored) return `Practice run. Today's scored attempt made ${result.points} points.`;
+    return `Today's Daily Tower is in! Streak: ${state.streak} ${state.streak === 1 ? 'day' : 'days'}.`;
+}
+
+dailyBtn.addEventListener('click', () => {
+    dailyDay = dayKey();
+    updateModeLabel();
+    leaveMainMenu();
+    startGame();
+});
+
+// Copies the day's scored result (not a later practice run) to paste anywhere
+shareBtn.addEventListener('click', () => {
+    const result = loadDailyState().results[currentRun.day];
+    if (!result) return;
+    navigator.clipboard.writeText(result.share).then(() => {
+        shareBtn.innerText = 'COPIED!';
+    }).catch((error) => {
+        console.error("Error copying the daily result:", error);
+        shareBtn.innerText = 'COPY FAILED';
+    });
+});
+
+renderDailyButton();
+
 //info
 const infoModal = document.getElementById('info-modal');
 const infoIcon = document.getElementById("toggle-info");
 const stars = document.getElementById("starry-sky")
 // Toggle the modal visibility when the icon is clicked
-infoIcon.addEventListener("click", (event) => {
-    event.stopPropagation()
-    if (infoModal.style.display === "none" || infoModal.style.display === "") {
-        infoModal.style.display = "block";
-    } else {
-        infoModal.style.display = "none";
-    }
+infoIcon.addEventListener("click", () => {
+    const isOpen = infoModal.style.display === "none" || infoModal.style.display === "";
+    infoModal.style.display = isOpen ? "block" : "none";
+    infoIcon.setAttribute('aria-expanded', String(isOpen));
+});
+
+// On the container, since focus stays on the toggle button while the rules are open (they have nothing to focus)
+const closeInfoOnEscape = closeOnEscape(() => {
+    infoModal.style.display = 'none';
+    infoIcon.setAttribute('aria-expanded', 'false');
+    infoIcon.focus();
+});
+document.getElementById('info-icon').addEventListener('keydown', (event) => {
+    if (infoModal.style.display !== 'none') closeInfoOnEscape(event);
 });
 
 const startBtn = document.getElementById('start-btn');
 const volumeBtn = document.getElementById('volume-btn');
-const menuMusic = document.getElementById("menu-music");
 // Start Game Event
-startBtn.addEventListener('click', (event) => {
-    event.stopPropagation()
+startBtn.addEventListener('click', () => {
+    leaveMainMenu();
+    startGame(); 
+});
+
+function leaveMainMenu() {
     document.getElementById('main-menu').style.display = 'none';
-   stars.style.display = 'none';
+    stars.style.display = 'none';
     infoIcon.style.display = 'none';
     infoModal.style.display = 'none';
-    menuMusic.pause();
-    menuMusic.currentTime = 0; // Reset to start
-    
-    startGame(); 
-});
+}
 
-// Toggle Volume Event
-volumeBtn.addEventListener("click", (event) => {
-    event.stopPropagation()
-    if (menuMusic.paused) {
-        menuMusic.play();
-    } else {
-        menuMusic.pause();
-    }
+// Toggle Volume Event (mutes everything; the levels themselves are in the settings panel)
+volumeBtn.addEventListener("click", () => {
+    audio.setMuted(!audio.getSettings().muted);
+    renderAudioSettings();
 });
 
 // Placeholder Game Start Function
@@ -519,101 +2133,446 @@ function startGame() {
     console.log("Game Started");
 
     gameSTART = true;
-    const scoreElement = document.getElementById('score');
-    scoreElement.style.display = 'block';
+    runStartTime = performance.now();
+    document.getElementById('game-container').style.display = 'block';
+    difficultyLabel.style.display = 'block';
+    pauseBtn.style.display = 'block';
 
-    window.removeEventListener('click', handleInput);
-    window.addEventListener('click', handleInput);
     // Initialize game components
+    beginRun();
     init();
     updateButtonVisibility();
     animationId = requestAnimationFrame(animation); // Start the animation loop
 }
 
-const stackingSound = new Audio("/soundEffect.mp3");
-const soundffect2 = new Audio("/soundeffect2.mp3");
+//AUDIO:
+// The gameplay music is the menu theme slowed down and muffled so it sits under the effects
+const audio = createAudioManager({
+    sounds: {
+        stack: './soundEffect.mp3',
+        milestone: './soundeffect2.mp3',
+    },
+    tracks: {
+        menu: { src: './mainmenuMusic.mp3' },
+        game: { src: './mainmenuMusic.mp3', playbackRate: 0.85, lowpass: 900 },
+        victory: { src: './congratulatorymusic.mp3', loop: false },
+    },
+});
 
 function playStackingSound() {
-    stackingSound.currentTime = 0; // Reset sound to the beginning
-    stackingSound.play().catch((error) => {
-        console.error("Error playing stacking sound:", error);
-    });
+    if (isSeeking) return; // Stay quiet while fast-forwarding a replay
+    audio.playSfx('stack');
+}
+
+// Plays the stacking sound pitched up a little more for every perfect in the streak
+function playPerfectSound() {
+    if (isSeeking) return;
+    audio.playSfx('stack', { playbackRate: 1.2 + Math.min(game.perfectStreak, 8) * 0.1 });
 }
 
 function playCongratulationsSound() {
-    const congratulationsSound = new Audio("/congratulatorymusic.mp3");
+    if (isSeeking) return;
     console.log("congratulatorymusic started")
-    congratulationsSound.currentTime = 0; // Reset sound to the beginning
-    congratulationsSound.play().catch((error) => {
-        console.error("Error playing congratulations sound:", error);
-    });
+    audio.playMusic('victory');
 }
 
 function playSoundEffect(score) {
+    if (isSeeking) return;
     if (score === 10 || score === 20 || score === 30 || score === 40) {
-        soundffect2.currentTime = 0; // Reset sound to the beginning
-        soundffect2.play().catch((error) => {
-        console.error("Error playing stacking sound:", error);
+        audio.playSfx('milestone');
+    }
+}
+
+const volumeSliders = document.querySelectorAll('.volume-slider');
+
+function renderAudioSettings() {
+    const settings = audio.getSettings();
+    volumeSliders.forEach((slider) => {
+        slider.value = Math.round(settings[slider.dataset.channel] * 100);
     });
+    volumeBtn.innerText = settings.muted ? 'VOLUME: OFF' : 'VOLUME: ON';
+}
+
+volumeSliders.forEach((slider) => {
+    slider.addEventListener('input', () => {
+        audio.setVolume(slider.dataset.channel, Number(slider.value) / 100);
+    });
+});
+
+renderAudioSettings();
+audio.playMusic('menu'); // Starts as soon as the browser lets audio play (first click, tap or key)
+
+//LOADING:
+// Every texture and sound goes through one LoadingManager so the loading screen can wait for all of them
+// (and so they're all in the service worker's cache before the player goes offline)
+const loadingManager = new THREE.LoadingManager();
+const loadingScreen = document.getElementById('loading-screen');
+const loadingBar = document.getElementById('loading-bar');
+const loadingFill = document.getElementById('loading-fill');
+const loadingText = document.getElementById('loading-text');
+
+loadingManager.onProgress = (url, loaded, total) => {
+    const percent = Math.round(loaded / total * 100);
+    loadingFill.style.width = `${percent}%`;
+    loadingBar.setAttribute('aria-valuenow', percent);
+    loadingText.innerText = `LOADING ${percent}%`;
+};
+
+loadingManager.onError = (url) => {
+    console.error(`Error loading ${url}`);
+};
+
+loadingManager.onLoad = () => {
+    loadingScreen.classList.add('loaded');
+    setTimeout(() => {
+        loadingScreen.style.display = 'none';
+    }, reduceMotion ? 0 : 500); // Once it has faded out
+};
+
+const textureLoader = new THREE.TextureLoader(loadingManager);
+const textures = {
+    earth: textureLoader.load('./earth.jpeg'),
+    moon: textureLoader.load('./moon.jpg'),
+    mars: textureLoader.load('./mars.jpg'),
+    saturn: textureLoader.load('./saturn.jpg'),
+    saturnRing: textureLoader.load('./saturn_ring.png'),
+    jupiter: textureLoader.load('./jupiter.jpg'),
+    venus: textureLoader.load('./venus.jpg'),
+};
+
+// The skies are CSS backgrounds, loading them here puts them in the browser's cache first
+const imageLoader = new THREE.ImageLoader(loadingManager);
+['./background1.jpg', './background2.jpg'].forEach((url) => imageLoader.load(url));
+
+// Audio is decoded by the audio manager, so its loads are reported to the manager by hand
+audio.preload().forEach(({ url, buffer }) => {
+    loadingManager.itemStart(url);
+    buffer.then(() => loadingManager.itemEnd(url), () => {
+        loadingManager.itemError(url);
+        loadingManager.itemEnd(url);
+    });
+});
+
+registerServiceWorker();
+
+//PAUSE:
+const pauseBtn = document.getElementById('pause-btn');
+const pauseMenu = document.getElementById('pause-menu');
+
+// Freezes the animation loop, the physics and any in-game sounds
+function pauseGame() {
+    // Only a running game can be paused (not the menu, a restart or the ending)
+    if (isPaused || !gameSTART || isRestarting || isEndingTriggered) return;
+    isPaused = true;
+    pauseStartTime = performance.now();
+
+    if (animationId !== null) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
     }
+
+    audio.suspend();
+
+    pauseMenu.style.display = 'flex';
+    focusFirstButton(pauseMenu);
+    console.log("Game Paused");
 }
 
-function handleInput() {
-    if (!gameSTART) {
-        gameSTART = true;
+// Picks the game back up from the frame it was paused on
+function resumeGame() {
+    if (!isPaused) return;
+    isPaused = false;
+    runStartTime += performance.now() - pauseStartTime; // Time spent paused doesn't count as played
+    pauseMenu.style.display = 'none';
+    document.activeElement.blur(); // So Space drops a box again instead of pressing whatever button had focus
+
+    audio.resume().catch((error) => {
+        console.error("Error resuming audio:", error);
+    });
+
+    if (animationId === null) {
+        resetClock();
         animationId = requestAnimationFrame(animation);
-        return;
-    
-    }else if (gameSTART){
-        const topLayer = stack[stack.length - 1];
-        const previousLayer = stack[stack.length - 2];
+    }
+    console.log("Game Resumed");
+}
 
-        const direction = topLayer.direction;
-        const delta = topLayer.threejs.position[direction] - previousLayer.threejs.position[direction];
+function togglePause() {
+    if (isPaused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
 
-        const overhangSize = Math.abs(delta);
-        const size = direction === 'x' ? topLayer.width : topLayer.depth;
-        const overlap = size - overhangSize;
+pauseBtn.addEventListener('click', () => {
+    togglePause();
+});
 
-        if (overlap > 0) {
+document.getElementById('resume-btn').addEventListener('click', () => {
+    resumeGame();
+});
 
-            playStackingSound()
-            // Successful stack: cut the box and add a new layer
-            cutBox(topLayer, overlap, size, delta);
+document.getElementById('pause-restart-btn').addEventListener('click', () => {
+    restartGame();
+});
 
-            const overhangShift = (overlap / 2 + overhangSize / 2) * Math.sign(delta);
-            const overhangX = direction === 'x'
-                ? topLayer.threejs.position.x + overhangShift
-                : topLayer.threejs.position.x;
-            const overhangZ = direction === 'x'
-                ? topLayer.threejs.position.z
-                : topLayer.threejs.position.z + overhangShift;
-            const overhangWidth = direction === 'x' ? overhangSize : topLayer.width;
-            const overhangDepth = direction === 'z' ? overhangSize : topLayer.depth;
+document.getElementById('pause-menu-btn').addEventListener('click', () => {
+    goToMainMenu();
+});
 
-            addOverhang(overhangX, overhangZ, overhangWidth, overhangDepth);
+// Drops the given player's box (any drop input drops the only box in single player)
+function handleInput(player = 0) {
+    if (isPaused || isReplaying) return; // Ignore drops while paused or while a replay is driving the game
+    if (!gameSTART) return; // Nothing to drop outside of a running game (menu, restart, end screen)
 
-            // Add the next layer
-            const nextX = direction === 'x' ? topLayer.threejs.position.x : -10;
-            const nextZ = direction === 'z' ? topLayer.threejs.position.z : -10;
-            const newDirection = direction === 'x' ? 'z' : 'x';
+    const tower = towers[player] || towers[0];
+    if (tower.game.isOver) return; // This player's tower has already fallen
+    useTower(tower);
 
-            addLayer(nextX, nextZ, topLayer.width, topLayer.depth, newDirection);
-        } else {
-            gameOver();
-            gameSTART = false;
-            updatePhysics();
-            restartGame()
+    if (!isVersus()) currentRun.inputs.push(game.frameIndex);
+    game.drop();
+    if (isVersus()) checkVersusOutcome();
+}
+
+// Ends the current run for the given gameOverReasons key
+function endRun(reason) {
+    gameOver(reason);
+    updatePhysics(gameFrameTime);
+    renderFrame(1, 0);
+}
+
+//INPUT:
+const gameContainer = document.getElementById('game-container');
+
+// Keys, taps/clicks on the canvas and gamepads only count while the game canvas is showing
+const input = createInput({
+    canvas: document.querySelector('canvas.webgl'),
+    isActive: () => gameContainer.style.display !== 'none',
+    onAction: (action) => {
+        if (action === 'drop') {
+            handleInput(0);
+        } else if (action === 'drop2') {
+            handleInput(1);
+        } else if (action === 'pause') {
+            togglePause();
         }
+    },
+});
+
+//SETTINGS:
+const settingsModal = document.getElementById('settings-modal');
+const keyBindingButtons = document.querySelectorAll('.key-binding-btn');
+
+function renderKeyBindings() {
+    const bindings = input.getBindings();
+    keyBindingButtons.forEach((button) => {
+        button.innerText = keyLabel(bindings[button.dataset.action]);
+    });
+}
+
+keyBindingButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+        button.innerText = 'PRESS A KEY...';
+        button.blur(); // So Space/Enter are captured rather than clicking the button again
+        input.captureKey((code) => {
+            if (code) input.setBinding(button.dataset.action, code);
+            renderKeyBindings();
+        });
+    });
+});
+
+document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+    input.resetBindings();
+    renderKeyBindings();
+});
+
+document.getElementById('settings-btn').addEventListener('click', () => {
+    renderKeyBindings();
+    renderAccessibilitySettings();
+    openModal(settingsModal);
+});
+
+document.getElementById('close-settings-btn').addEventListener('click', () => {
+    closeModal(settingsModal);
+});
+
+// Pause automatically when the tab is hidden or the window loses focus
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+});
+window.addEventListener('blur', pauseGame);
+
+//ACCESSIBILITY:
+const announcer = document.getElementById('announcer');
+const nearMissAccuracy = 0.35;  //placed layers with less than this share on the stack are announced as close calls
+let announcements = [];  //messages waiting to be read out together
+let modalOpener = null;  //element that had focus before the open modal was shown
+
+// Queues a message for screen readers; everything announced in the same moment is read out as one
+function announce(text) {
+    if (isSeeking) return;
+    if (announcements.length === 0) {
+        setTimeout(() => {
+            announcer.textContent = announcements.join(' ');
+            announcements = [];
+        }, 100);
     }
+    announcements.push(text);
 }
 
-// Add event listeners for both click and spacebar key press
-window.addEventListener('click', handleInput);
+// "Player 2: " in versus, so both players' announcements can be told apart
+function playerPrefix() {
+    return isVersus() ? `${playerName(activeTower)}: ` : '';
+}
 
-window.addEventListener('keydown', (event) => {
-    if (event.code === 'Space') {
-        handleInput();
-        event.preventDefault();  // Prevent page scrolling when spacebar is pressed
+function focusFirstButton(container) {
+    const button = [...container.querySelectorAll('button:not([disabled])')].find((element) => element.offsetParent !== null);
+    if (button) button.focus();
+}
+
+// Keydown handler that calls close when Escape is pressed
+function closeOnEscape(close) {
+    return (event) => {
+        if (event.code !== 'Escape') return;
+        event.stopPropagation();
+        close();
+    };
+}
+
+// Shows a menu modal and moves keyboard focus into it; closing it puts focus back on what opened it
+function openModal(modal) {
+    modalOpener = document.activeElement;
+    modal.style.display = 'flex';
+    const first = modal.querySelector('button:not([disabled]), input, select');
+    if (first) first.focus();
+}
+
+function closeModal(modal) {
+    modal.style.display = 'none';
+    if (modalOpener) modalOpener.focus();
+    modalOpener = null;
+}
+
+[settingsModal, highScoresModal, campaignModal].forEach((modal) => {
+    modal.addEventListener('keydown', closeOnEscape(() => closeModal(modal)));
+});
+
+const paletteSelect = document.getElementById('palette-select');
+const highContrastToggle = document.getElementById('high-contrast-toggle');
+const reducedMotionSelect = document.getElementById('reduced-motion-select');
+
+Object.entries(layerPalettes).forEach(([key, { label }]) => {
+    paletteSelect.add(new Option(label, key));
+});
+
+function renderAccessibilitySettings() {
+    paletteSelect.value = accessibility.palette;
+    highContrastToggle.checked = accessibility.highContrast;
+    reducedMotionSelect.value = accessibility.reducedMotion;
+}
+
+function updateReducedMotion() {
+    reduceMotion = isMotionReduced(accessibility);
+    document.body.classList.toggle('reduced-motion', reduceMotion);
+}
+
+// Repaints every tower's layers in the current palette (overhangs keep their colour until they're gone)
+function recolorLayers() {
+    eachTower(() => {
+        stack.forEach((view, index) => {
+            if (view.culled) return;
+            const color = view.threejs.material.color.copy(layerColor(index));
+            if (game.stack[index] && game.stack[index].special === 'heavy') color.multiplyScalar(0.4);
+        });
+    });
+}
+
+// Adds or removes the black edges on every box already in the scene
+function updateEdges() {
+    eachTower(() => {
+        stack.concat(overhangs).forEach((view) => {
+            if (view.culled) return;
+            const edges = view.threejs.getObjectByName('edges');
+            if (edges && !accessibility.highContrast) {
+                view.threejs.remove(edges);
+                edges.geometry.dispose();
+                edges.material.dispose();
+            } else if (!edges && accessibility.highContrast && view.threejs.children.length === 0) {
+                addEdges(view); // Special blocks already have an outline of their own
+            }
+        });
+    });
+}
+
+function changeAccessibility(key, value) {
+    accessibility[key] = value;
+    saveAccessibilitySettings(accessibility);
+    if (key === 'reducedMotion') updateReducedMotion();
+    if (!scene) return; // Nothing in the scene before the first game
+    if (key === 'palette') recolorLayers();
+    if (key === 'highContrast') updateEdges();
+    renderTowers();
+}
+
+paletteSelect.addEventListener('change', () => changeAccessibility('palette', paletteSelect.value));
+highContrastToggle.addEventListener('change', () => changeAccessibility('highContrast', highContrastToggle.checked));
+reducedMotionSelect.addEventListener('change', () => changeAccessibility('reducedMotion', reducedMotionSelect.value));
+
+onSystemMotionChange(updateReducedMotion);
+updateReducedMotion();
+
+//TUNING:
+// Applies a value changed in the tuning panel to the running game
+function applyTuning(key) {
+    switch (key) {
+        case 'gravity':
+            if (world) world.gravity.set(0, -tuning.gravity, 0);
+            break;
+        case 'solverIterations':
+            if (world) world.solver.iterations = tuning.solverIterations;
+            break;
+        case 'ambientLight':
+            if (ambientLight) ambientLight.intensity = tuning.ambientLight;
+            break;
+        case 'directionalLight':
+            if (directionalLight) directionalLight.intensity = tuning.directionalLight;
+            break;
+        case 'speedScale':
+            tuneGame({ speedScale: tuning.speedScale });
+            if (game) eachTower(() => game.updateDifficulty());
+            break;
+        case 'winScore':
+            tuneGame({ winScore: tuning.winScore });
+            if (game) eachTower(updateScore);
+            break;
+        case 'boxHeight':
+        case 'originalBoxSize':
+            // The stack is built from these, so start the run over with the new boxes
+            tuneGame({ boxHeight: tuning.boxHeight, originalBoxSize: tuning.originalBoxSize });
+            if (gameSTART && !isReplaying) restartGame();
+            break;
     }
-});
\ No newline at end of file
+}
+
+createTuningPanel({
+    params: tuning,
+    controls: {
+        Physics: {
+            gravity: { label: 'Gravity', min: 0, max: 40, step: 0.5 },
+            solverIterations: { label: 'Solver iterations', min: 1, max: 40, step: 1 },
+        },
+        Boxes: {
+            speedScale: { label: 'Speed multiplier', min: 0.1, max: 4, step: 0.05 },
+            boxHeight: { label: 'Box height', min: 0.3, max: 3, step: 0.1, onRelease: true },
+            originalBoxSize: { label: 'Box size', min: 1, max: 8, step: 0.1, onRelease: true },
+            winScore: { label: 'Win target', min: 5, max: 200, step: 1 },
+        },
+        Lights: {
+            ambientLight: { label: 'Ambient', min: 0, max: 2, step: 0.05 },
+            directionalLight: { label: 'Sun', min: 0, max: 2, step: 0.05 },
+        },
+    },
+    onChange: applyTuning,
+    open: isDebug,
+});
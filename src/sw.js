@@ -0,0 +1,43 @@
+// Service worker template: the build (see vite.config.js) fills in the version and the list of files,
+// so every build gets a cache of its own and the game keeps working offline.
+const version = __VERSION__;
+const precache = __PRECACHE__;  //every file of the build, relative to this worker
+
+const cacheName = `above-and-beyond-${version}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(cacheName).then((cache) => cache.addAll(precache)));
+});
+
+// Old versions' caches are only removed once this version takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith('above-and-beyond-') && name !== cacheName)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the "update available" prompt (see pwa.js)
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Pages come from the network when there is one so updates are found, everything else from the cache
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('index.html', { cacheName }))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { cacheName }).then((cached) => cached || fetch(request))
+    );
+});
@@ -0,0 +1,136 @@
+// Developer tuning panel built on lil-gui, toggled with the ` key (or opened from the start with ?debug).
+// Changes apply straight away, and named presets are saved to localStorage and can be exported or
+// imported as JSON files so designers can share them.
+import GUI from 'lil-gui'
+import { downloadBlob } from './download.js'
+
+const tuningPresetsKey = 'aboveAndBeyond.tuningPresets';
+const toggleKey = 'Backquote';
+
+function loadPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(tuningPresetsKey));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.error("Error reading tuning presets:", error);
+        return {};
+    }
+}
+
+function savePresets(presets) {
+    try {
+        localStorage.setItem(tuningPresetsKey, JSON.stringify(presets));
+    } catch (error) {
+        console.error("Error saving tuning presets:", error);
+    }
+}
+
+// params: the object whose properties the panel edits
+// controls: { folder: { key: { label, min, max, step, listen, onRelease } } } describing which properties to show
+//   (listen keeps the display in step with changes made elsewhere; onRelease waits for the slider to be
+//   let go before applying, for changes that restart the run)
+// onChange(key, value) is called after a property was changed from the panel or by loading a preset
+export function createTuningPanel({ params, controls, onChange, open = false }) {
+    const gui = new GUI({ title: 'Tuning' });
+    let isVisible = open;
+    gui.show(isVisible);
+
+    // Typing in the panel shouldn't drop boxes or pause the game
+    gui.domElement.addEventListener('keydown', (event) => event.stopPropagation());
+
+    const keys = [];
+    Object.entries(controls).forEach(([folderName, fields]) => {
+        const folder = gui.addFolder(folderName);
+        Object.entries(fields).forEach(([key, { label, min, max, step, listen, onRelease }]) => {
+            const controller = folder.add(params, key, min, max, step).name(label);
+            if (onRelease) {
+                controller.onFinishChange((value) => onChange(key, value));
+            } else {
+                controller.onChange((value) => onChange(key, value));
+            }
+            if (listen) controller.listen();
+            keys.push(key);
+        });
+    });
+
+    // Presets are { name: { key: value } } for every property in controls
+    let presets = loadPresets();
+    const presetState = {
+        name: 'My preset',
+        selected: '',
+        save() {
+            const name = presetState.name.trim();
+            if (!name) return;
+            presets[name] = Object.fromEntries(keys.map((key) => [key, params[key]]));
+            savePresets(presets);
+            presetState.selected = name;
+            updatePresetList();
+        },
+        remove() {
+            delete presets[presetState.selected];
+            savePresets(presets);
+            presetState.selected = '';
+            updatePresetList();
+        },
+        exportJson() {
+            const blob = new Blob([JSON.stringify(presets, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, 'above-and-beyond-tuning.json');
+        },
+        importJson() {
+            fileInput.click();
+        },
+    };
+
+    function applyPreset(preset) {
+        if (!preset) return;
+        keys.forEach((key) => {
+            if (typeof preset[key] !== 'number') return;
+            params[key] = preset[key];
+            onChange(key, preset[key]);
+        });
+        gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+    }
+
+    const presetFolder = gui.addFolder('Presets');
+    presetFolder.add(presetState, 'name').name('Name');
+    presetFolder.add(presetState, 'save').name('Save preset');
+    presetFolder.add(presetState, 'remove').name('Delete selected');
+    presetFolder.add(presetState, 'exportJson').name('Export JSON');
+    presetFolder.add(presetState, 'importJson').name('Import JSON');
+
+    // Options can't be changed in place, so the dropdown is rebuilt whenever the presets change
+    let presetList = null;
+    function updatePresetList() {
+        if (presetList) presetList.destroy();
+        presetList = presetFolder.add(presetState, 'selected', ['', ...Object.keys(presets)])
+            .name('Load preset')
+            .onChange((name) => applyPreset(presets[name]));
+    }
+    updatePresetList();
+
+    // Imported presets are added to the saved ones (replacing any with the same name)
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        file.text().then((text) => {
+            const imported = JSON.parse(text);
+            if (!imported || typeof imported !== 'object') throw new Error("Not a tuning presets file");
+            presets = { ...presets, ...imported };
+            savePresets(presets);
+            updatePresetList();
+        }).catch((error) => {
+            console.error("Error importing tuning presets:", error);
+        });
+    });
+
+    window.addEventListener('keydown', (event) => {
+        if (event.code !== toggleKey || event.target instanceof HTMLInputElement) return;
+        isVisible = !isVisible;
+        gui.show(isVisible);
+    });
+}
@@ -0,0 +1,232 @@
+// Rules of the headless game core (src/game.js): cutting, missing, perfect snaps and winning.
+// Drops are lined up by moving the moving layer by hand instead of stepping it into place.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createGame, tuneGame, boxHeight, originalBoxSize, winScore, perfectTolerance } from '../src/game.js'
+
+// Starts a game that records the events it emits
+function startGame(options) {
+    const game = createGame({ seed: 1, ...options });
+    const events = [];
+    game.subscribe((event) => events.push(event));
+    return { game, events };
+}
+
+// Puts the moving layer offset away from the layer below it, along the way it travels, without a special
+function lineUp(game, offset) {
+    const top = game.stack[game.stack.length - 1];
+    const previous = game.stack[game.stack.length - 2];
+    top[top.direction] = previous[top.direction] + offset;
+    top.special = null;
+    return top;
+}
+
+test('a partial drop is cut down to the overlap and the rest falls off as an overhang', () => {
+    const { game, events } = startGame();
+    const layer = lineUp(game, 1);
+    assert.equal(layer.direction, 'x');
+
+    const result = game.drop();
+
+    assert.equal(result.type, 'cut');
+    assert.equal(layer.width, originalBoxSize - 1);
+    assert.equal(layer.depth, originalBoxSize);
+    assert.equal(layer.x, 0.5);
+    assert.equal(layer.z, 0);
+    assert.deepEqual(result.overhang, {
+        x: 0.5 + (originalBoxSize - 1) / 2 + 0.5,
+        y: boxHeight,
+        z: 0,
+        width: 1,
+        depth: originalBoxSize,
+        heavy: false,
+    });
+    assert.deepEqual(events.find((event) => event.type === 'overhang'), { type: 'overhang', piece: result.overhang });
+    assert.equal(game.score, 1);
+    assert.equal(game.stack[game.stack.length - 1].width, originalBoxSize - 1);
+});
+
+test('missing the stack entirely ends the game', () => {
+    const { game, events } = startGame();
+    lineUp(game, originalBoxSize + 0.5);
+
+    const result = game.drop();
+
+    assert.equal(result.type, 'miss');
+    assert.equal(game.isOver, true);
+    assert.equal(game.overReason, 'miss');
+    assert.deepEqual(events.filter((event) => event.type === 'gameOver'), [{ type: 'gameOver', reason: 'miss' }]);
+    assert.equal(game.drop(), null);
+});
+
+test('a drop within the perfect tolerance snaps onto the layer below', () => {
+    const { game } = startGame();
+    const layer = lineUp(game, perfectTolerance - 0.01);
+
+    const result = game.drop();
+
+    assert.equal(result.type, 'perfect');
+    assert.equal(result.overhang, null);
+    assert.equal(layer.x, 0);
+    assert.equal(layer.width, originalBoxSize);
+    assert.equal(game.perfectStreak, 1);
+});
+
+test('a drop just outside the perfect tolerance is cut', () => {
+    const { game } = startGame();
+    const layer = lineUp(game, perfectTolerance + 0.01);
+
+    assert.equal(game.drop().type, 'cut');
+    assert.ok(layer.width < originalBoxSize);
+    assert.equal(game.perfectStreak, 0);
+});
+
+test(`stacking ${winScore} layers wins a Classic run`, () => {
+    const { game, events } = startGame();
+    for (let i = 0; i < winScore; i++) {
+        lineUp(game, 0);
+        assert.equal(game.drop().type, 'perfect');
+        if (i < winScore - 1) {
+            game.step();
+            assert.equal(game.isOver, false);
+        }
+    }
+
+    game.step();
+
+    assert.equal(game.score, winScore);
+    assert.equal(game.isOver, true);
+    assert.equal(game.overReason, 'won');
+    assert.deepEqual(events.filter((event) => event.type === 'won'), [{ type: 'won', score: winScore }]);
+});
+
+test('Endless runs keep going past the win score', () => {
+    const { game } = startGame({ mode: 'endless' });
+    for (let i = 0; i <= winScore; i++) {
+        lineUp(game, 0);
+        game.drop();
+        game.step();
+    }
+
+    assert.equal(game.score, winScore + 1);
+    assert.equal(game.isOver, false);
+});
+
+test('wobble mode never spawns widen blocks, since it never cuts boxes down', () => {
+    const specials = (wobble) => {
+        const { game } = startGame({ difficulty: 'easy', wobble });
+        const spawned = [];
+        for (let i = 0; i < 200; i++) {
+            spawned.push(game.stack[game.stack.length - 1].special);
+            lineUp(game, 0);
+            game.drop();
+        }
+        return spawned;
+    };
+
+    assert.ok(specials(false).includes('widen'));
+    assert.ok(!specials(true).includes('widen'));
+});
+
+// A campaign level in the shape of src/levels.json
+function testLevel(overrides) {
+    return {
+        id: 'test',
+        name: 'Test',
+        difficulty: 'normal',
+        footprint: [4, 3],
+        target: 15,
+        speed: { start: 0.08, step: 0.001, max: 0.12 },
+        directions: ['x', 'z'],
+        hazards: {},
+        ...overrides,
+    };
+}
+
+test('campaign levels set the footprint and win at their own target', () => {
+    const { game } = startGame({ mode: 'campaign', level: testLevel() });
+    assert.equal(game.stack[0].width, 4);
+    assert.equal(game.stack[0].depth, 3);
+    assert.equal(game.target, 15);
+
+    for (let i = 0; i < 15; i++) {
+        lineUp(game, 0);
+        game.drop();
+        game.step();
+    }
+
+    assert.equal(game.overReason, 'won');
+});
+
+test('a diagonal drop is cut along both axes', () => {
+    const { game, events } = startGame({ mode: 'campaign', level: testLevel({ footprint: [3.5, 3.5], directions: ['diagonal'] }) });
+    const layer = game.stack[1];
+    assert.equal(layer.direction, 'diagonal');
+    layer.x = 1;
+    layer.z = 0.5;
+    layer.special = null;
+
+    assert.equal(game.drop().type, 'cut');
+    assert.equal(layer.width, 2.5);
+    assert.equal(layer.depth, 3);
+    assert.equal(layer.x, 0.5);
+    assert.equal(layer.z, 0.25);
+    assert.equal(events.filter((event) => event.type === 'overhang').length, 2);
+});
+
+test('the moving layer drifts with the base across its path, so the offset is still measured', () => {
+    const drift = { axis: 'z', amplitude: 1.5, period: 480 };
+    const { game } = startGame({ mode: 'campaign', level: testLevel({ footprint: [3.5, 3.5], hazards: { drift } }) });
+    for (let i = 0; i < drift.period / 4; i++) game.step();
+
+    const [base, layer] = game.stack;
+    assert.equal(layer.direction, 'x');
+    assert.ok(base.z > 1.4);
+    assert.equal(layer.z, base.z);
+
+    lineUp(game, 0);
+    assert.equal(game.drop().type, 'perfect');
+    assert.equal(layer.z, base.z);
+});
+
+test('a drift along the moving layer\'s path still has to be timed', () => {
+    const drift = { axis: 'x', amplitude: 1.5, period: 480 };
+    const { game } = startGame({ mode: 'campaign', level: testLevel({ footprint: [3.5, 3.5], hazards: { drift } }) });
+    for (let i = 0; i < drift.period / 4; i++) game.step();
+
+    const [base, layer] = game.stack;
+    layer.x = 0;
+    layer.special = null;
+
+    const result = game.drop();
+    assert.equal(result.type, 'cut');
+    assert.ok(Math.abs(layer.width - (3.5 - base.x)) < 1e-9);
+});
+
+test('the tuned speed multiplier lasts through the difficulty curve', () => {
+    const { game } = startGame();
+    const speed = game.boxSpeed;
+    tuneGame({ speedScale: 2 });
+    try {
+        game.updateDifficulty();
+        assert.equal(game.boxSpeed, speed * 2);
+
+        lineUp(game, 0);
+        game.drop();
+        assert.ok(game.boxSpeed > speed * 2);
+        assert.equal(createGame().boxSpeed, speed * 2);
+    } finally {
+        tuneGame({ speedScale: 1 });
+    }
+});
+
+test('a level\'s start offsets bring the boxes in closer, layer by layer', () => {
+    const { game } = startGame({ mode: 'campaign', level: testLevel({ startOffsets: [2, 0.5] }) });
+    const range = game.travelRange;
+    assert.equal(game.stack[1].x, -(range - 2));
+
+    lineUp(game, 0);
+    game.drop(); // Spawns the next layer before the score raises the travel range
+    assert.equal(game.stack[2].direction, 'z');
+    assert.equal(game.stack[2].z, -(range - 0.5));
+});
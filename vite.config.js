@@ -1,5 +1,53 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
 const isCodeSandbox = 'SANDBOX_URL' in process.env || 'CODESANDBOX_HOST' in process.env
 
+const publicDir = fileURLToPath(new URL('./public/', import.meta.url))
+
+// Every file under dir, as paths relative to it
+function listFiles(dir) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const path = join(dir, entry.name)
+        return entry.isDirectory() ? listFiles(path).map((file) => join(entry.name, file)) : [entry.name]
+    })
+}
+
+// Emits sw.js from src/sw.js with the list of files to cache for offline play. The version is a hash
+// of all of them, so any change to the build installs a new worker (and shows the update prompt).
+function serviceWorker() {
+    return {
+        name: 'service-worker',
+        apply: 'build',
+        enforce: 'post',
+        generateBundle(options, bundle) {
+            const hash = createHash('sha256')
+            const files = new Set(['./'])
+            Object.values(bundle).forEach((output) => {
+                if (/\.(map|eot)$/.test(output.fileName)) return // Browsers with service workers never ask for .eot fonts
+                files.add(output.fileName)
+                hash.update(output.fileName).update(output.type === 'chunk' ? output.code : output.source)
+            })
+            listFiles(publicDir).forEach((file) => {
+                const fileName = file.split('\\').join('/') // As a URL, also on Windows
+                files.add(fileName)
+                hash.update(fileName).update(readFileSync(join(publicDir, file)))
+            })
+
+            const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+            this.emitFile({
+                type: 'asset',
+                fileName: 'sw.js',
+                source: template
+                    .replace('__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+                    .replace('__PRECACHE__', JSON.stringify([...files], null, 4)),
+            })
+        }
+    }
+}
+
 export default {
     root: 'src/',
     publicDir: '../public/',
@@ -15,5 +63,6 @@ export default {
         outDir: '../dist',
         emptyOutDir: true,
         sourcemap: true
-    }
-}
\ No newline at end of file
+    },
+    plugins: [serviceWorker()]
+}